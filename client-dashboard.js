@@ -254,6 +254,7 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
     .conn-dot.online  { background:var(--success); box-shadow:0 0 6px var(--success); }
     .conn-dot.offline { background:var(--danger); }
     .conn-label { font-size:11px; color:var(--text-secondary); }
+    .conn-latency { font-size:10px; color:var(--text-muted); font-family:'Consolas',monospace; }
     .conn-since { font-size:10px; color:var(--text-muted); font-family:'Consolas',monospace; margin-left:auto; }
 
     .sidebar-nav { flex:1; overflow-y:auto; padding:6px 8px; }
@@ -326,6 +327,21 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
     .ps-dot  { width:8px; height:8px; border-radius:50%; }
     .ps-num  { font-weight:700; color:var(--text-secondary); }
 
+    /* ── Access Approvals ── */
+    .approval-banner {
+      display:none; flex-direction:column; gap:6px; flex-shrink:0;
+      background:var(--warning-dim); border-bottom:1px solid var(--warning);
+      padding:10px 16px; font-size:12px;
+    }
+    .approval-row { display:flex; align-items:center; gap:10px; }
+    .approval-text { flex:1; color:var(--text-primary); word-break:break-all; }
+    .approval-text b { color:var(--warning); }
+    .approval-row button {
+      border:none; border-radius:var(--radius-sm); padding:5px 12px; cursor:pointer;
+      font-size:11px; font-weight:600; font-family:inherit; color:#fff; background:var(--accent);
+    }
+    .approval-row button[data-decision="deny"] { background:var(--danger); }
+
     /* ── Tools Grid View ── */
     #view-grid {
       flex:1; overflow-y:auto; padding:16px 20px;
@@ -553,6 +569,7 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
   <div class="sidebar-connection" id="connectionBar">
     <div class="conn-dot online" id="connDot"></div>
     <span class="conn-label" id="connLabel">Connected</span>
+    <span class="conn-latency" id="connLatency"></span>
     <span class="conn-since" id="connSince">${esc(connectedAt ? new Date(connectedAt).toLocaleTimeString() : '—')}</span>
   </div>
 
@@ -605,6 +622,8 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
     </span>
   </div>
 
+  <div class="approval-banner" id="approvalBanner"></div>
+
   <div class="content-area">
     <div id="view-grid">
       ${toolCards || '<div class="activity-empty">No tools published by this client</div>'}
@@ -646,6 +665,15 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
 (function() {
   'use strict';
 
+  // Bearer token (when the broker has MCP_API_KEYS configured), taken from ?token=
+  const AUTH_TOKEN = new URLSearchParams(location.search).get('token') || localStorage.getItem('broker-api-token') || '';
+  function withToken(url) {
+    return AUTH_TOKEN ? url + (url.includes('?') ? '&' : '?') + 'token=' + encodeURIComponent(AUTH_TOKEN) : url;
+  }
+  function authHeaders(headers) {
+    return AUTH_TOKEN ? { ...headers, Authorization: 'Bearer ' + AUTH_TOKEN } : headers;
+  }
+
   const CLIENT_ID = ${JSON.stringify(clientId)};
   const TOOLS = ${JSON.stringify(tools.map(t => ({
     name: t.name,
@@ -790,7 +818,7 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
     try {
       const res = await fetch('/api/call-tool', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ clientId: CLIENT_ID, tool: tool.name, arguments: args }),
       });
       const data = await res.json();
@@ -865,7 +893,7 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
 
   // ── SSE: live updates for this client ──
   function connectSSE() {
-    const evtSource = new EventSource('/api/client/' + encodeURIComponent(CLIENT_ID) + '/events');
+    const evtSource = new EventSource(withToken('/api/client/' + encodeURIComponent(CLIENT_ID) + '/events'));
 
     evtSource.onmessage = (event) => {
       let data;
@@ -874,9 +902,12 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
       if (data.type === 'state') {
         // Update connection state
         const client = data.clients.find(c => c.clientId === CLIENT_ID);
-        const isOnline = !!client;
+        const reconnecting = !!client?.disconnected;
+        const isOnline = !!client && !reconnecting;
         $('connDot').className = 'conn-dot ' + (isOnline ? 'online' : 'offline');
-        $('connLabel').textContent = isOnline ? 'Connected' : 'Disconnected';
+        $('connLabel').textContent = isOnline ? 'Connected' : reconnecting ? 'Reconnecting…' : 'Disconnected';
+        $('connLatency').textContent = isOnline && client.latencyMs != null ? client.latencyMs + 'ms' : '';
+        $('connLatency').title = client?.lastSeen ? 'Last seen ' + new Date(client.lastSeen).toLocaleTimeString() : '';
         $('summaryDot').style.background = isOnline ? 'var(--success)' : 'var(--danger)';
         $('statStatus').style.color = isOnline ? 'var(--success)' : 'var(--danger)';
 
@@ -890,6 +921,8 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
         if (data.uptime) {
           $('summaryUptime').textContent = formatUptime(data.uptime);
         }
+
+        renderApprovals((data.approvals || []).filter(a => a.clientId === CLIENT_ID));
       } else if (data.type === 'activity') {
         const entry = data.entry;
         // Only show activities related to this client
@@ -915,6 +948,32 @@ export function generateClientDashboard(clientId, clientData, opts = {}) {
     };
   }
 
+  // ── Access approvals: request_access calls targeting this client ──
+  function renderApprovals(approvals) {
+    const banner = $('approvalBanner');
+    banner.style.display = approvals.length ? 'flex' : 'none';
+    banner.innerHTML = approvals.map(a =>
+      '<div class="approval-row">' +
+        '<span class="approval-text"><b>' + esc(a.identity) + '</b> wants to run <b>' + esc(a.capability) + '</b> ' +
+          esc(JSON.stringify(a.arguments || {})) + '</span>' +
+        '<button data-approval="' + esc(a.id) + '" data-decision="approve">Approve</button>' +
+        (a.canAlwaysAllow ? '<button data-approval="' + esc(a.id) + '" data-decision="approve" data-always="1">Always allow</button>' : '') +
+        '<button data-approval="' + esc(a.id) + '" data-decision="deny">Deny</button>' +
+      '</div>'
+    ).join('');
+  }
+
+  $('approvalBanner').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-approval]');
+    if (!btn) return;
+    btn.disabled = true;
+    fetch('/api/approvals/' + encodeURIComponent(btn.dataset.approval), {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ decision: btn.dataset.decision, always: !!btn.dataset.always }),
+    }).catch(() => { btn.disabled = false; });
+  });
+
   // ── Refresh button ──
   $('refreshBtn').addEventListener('click', () => {
     window.location.reload();
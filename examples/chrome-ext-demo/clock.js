@@ -122,7 +122,8 @@ async function pollServerTools() {
     serverStatusEl.textContent = 'Server: online';
     serverStatusEl.className = 'server-up';
 
-    // Connect MCP client (stateless, so connect every time is fine)
+    // Reconnect every poll; close the previous client so its session is released
+    if (mcpClient) mcpClient.close();
     mcpClient = new McpBrowserClient(MCP_SERVER_URL);
     await mcpClient.connect();
     const tools = await mcpClient.listTools();
@@ -222,6 +223,7 @@ async function sendOllamaPrompt() {
     const client = new McpBrowserClient(MCP_SERVER_URL);
     await client.connect();
     const result = await client.callTool('ollama__generate', { prompt });
+    client.close();
     const text = (result.content || []).map(c => c.text).join('');
     ollamaResponseEl.value = text || '(empty response)';
     ollamaStatusEl.textContent = 'Done';
@@ -320,6 +322,7 @@ propAddBtn.addEventListener('click', async () => {
     const client = new McpBrowserClient(MCP_SERVER_URL);
     await client.connect();
     const result = await client.callTool(toolName, { name, prompt });
+    client.close();
     const text = (result.content || []).map(c => c.text).join('');
     propStatusEl.textContent = result.isError ? `Error: ${text}` : `Done! Property "${name}" added.`;
     refreshPropertyList();
@@ -3,7 +3,8 @@
  *
  * Connects to an MCP server's Streamable HTTP endpoint via fetch POST.
  * Each request is a standalone JSON-RPC round-trip — no SSE or long-lived
- * connections needed. Works with the stateless Streamable HTTP server.
+ * connections needed. If the server assigns an Mcp-Session-Id on initialize,
+ * it is sent with every later request and the session is deleted on close().
  *
  * Usage:
  *   const client = new McpBrowserClient('http://localhost:3098/mcp');
@@ -18,6 +19,7 @@ class McpBrowserClient {
     this._requestId = 0;
     this._ready = false;
     this._serverInfo = null;
+    this._sessionId = null;
   }
 
   /** Initialize the MCP session. Must call before listTools / callTool. */
@@ -58,10 +60,12 @@ class McpBrowserClient {
     const body = { jsonrpc: '2.0', id, method, params };
     const res = await fetch(this.serverUrl, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      headers: this._headers(),
       body: JSON.stringify(body),
     });
     if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
+    const sessionId = res.headers.get('mcp-session-id');
+    if (sessionId) this._sessionId = sessionId;
 
     const contentType = res.headers.get('content-type') || '';
     if (contentType.includes('text/event-stream')) {
@@ -83,14 +87,25 @@ class McpBrowserClient {
   async _post(body) {
     await fetch(this.serverUrl, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      headers: this._headers(),
       body: JSON.stringify(body),
     });
   }
 
+  _headers() {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    if (this._sessionId) headers['Mcp-Session-Id'] = this._sessionId;
+    return headers;
+  }
+
   close() {
+    if (this._sessionId) {
+      // Fire-and-forget session teardown
+      fetch(this.serverUrl, { method: 'DELETE', headers: { 'Mcp-Session-Id': this._sessionId } }).catch(() => {});
+    }
     this._ready = false;
     this._serverInfo = null;
+    this._sessionId = null;
   }
 
   /** Quick health check — can we reach the server? */
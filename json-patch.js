@@ -0,0 +1,142 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7386)
+ *
+ * Both functions leave their input untouched and return the patched document.
+ * A JSON Patch is applied atomically: if any operation fails (including a
+ * failed "test"), an Error is thrown and nothing is returned.
+ */
+
+/** Split a JSON Pointer (RFC 6901) into unescaped reference tokens. */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`);
+  }
+  return pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function arrayIndex(arr, token, { append = false } = {}) {
+  if (append && token === '-') return arr.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) throw new Error(`Invalid array index "${token}"`);
+  const index = Number(token);
+  if (index > arr.length || (!append && index === arr.length)) throw new Error(`Array index ${index} out of bounds`);
+  return index;
+}
+
+/** Resolve every token but the last; returns { parent, key } for the final token. */
+function resolveParent(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) return { parent: null, key: null };
+  let node = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) node = node[arrayIndex(node, token)];
+    else if (isObject(node) && Object.hasOwn(node, token)) node = node[token];
+    else throw new Error(`Path not found: ${pointer}`);
+  }
+  if (!Array.isArray(node) && !isObject(node)) throw new Error(`Path not found: ${pointer}`);
+  return { parent: node, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, pointer) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (!parent) return doc;
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key)];
+  if (!Object.hasOwn(parent, key)) throw new Error(`Path not found: ${pointer}`);
+  return parent[key];
+}
+
+/** Each op returns the (possibly replaced) root document. */
+function addValue(doc, pointer, value) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (!parent) return value;
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, { append: true }), 0, value);
+  else parent[key] = value;
+  return doc;
+}
+
+function removeValue(doc, pointer) {
+  const { parent, key } = resolveParent(doc, pointer);
+  if (!parent) throw new Error('Cannot remove the document root');
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key), 1);
+  else if (Object.hasOwn(parent, key)) delete parent[key];
+  else throw new Error(`Path not found: ${pointer}`);
+  return doc;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) return Array.isArray(b) && a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+/**
+ * Apply a JSON Patch.
+ * @param {*} doc — current document
+ * @param {Array<{op, path, value?, from?}>} operations
+ */
+export function applyJsonPatch(doc, operations) {
+  if (!Array.isArray(operations)) throw new Error('JSON Patch must be an array of operations');
+  let result = structuredClone(doc);
+  operations.forEach((operation, i) => {
+    const { op, path, from } = operation || {};
+    try {
+      switch (op) {
+        case 'add':
+          result = addValue(result, path, structuredClone(operation.value));
+          break;
+        case 'remove':
+          result = removeValue(result, path);
+          break;
+        case 'replace': {
+          getValue(result, path);
+          const { parent, key } = resolveParent(result, path);
+          if (!parent) result = structuredClone(operation.value);
+          else parent[Array.isArray(parent) ? arrayIndex(parent, key) : key] = structuredClone(operation.value);
+          break;
+        }
+        case 'move': {
+          if (path === from || path.startsWith(`${from}/`)) {
+            if (path !== from) throw new Error('Cannot move a value into one of its children');
+            break;
+          }
+          const value = getValue(result, from);
+          result = addValue(removeValue(result, from), path, value);
+          break;
+        }
+        case 'copy':
+          result = addValue(result, path, structuredClone(getValue(result, from)));
+          break;
+        case 'test':
+          if (!deepEqual(getValue(result, path), operation.value)) throw new Error(`Test failed at ${path}`);
+          break;
+        default:
+          throw new Error(`Unknown op ${JSON.stringify(op)}`);
+      }
+    } catch (err) {
+      throw new Error(`Operation ${i} (${op}): ${err.message}`);
+    }
+  });
+  return result;
+}
+
+/**
+ * Apply a JSON Merge Patch: objects merge recursively, null deletes a key,
+ * anything else (including arrays) replaces the target value.
+ */
+export function applyMergePatch(target, patch) {
+  if (!isObject(patch)) return structuredClone(patch);
+  const result = isObject(target) ? structuredClone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  }
+  return result;
+}
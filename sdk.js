@@ -16,6 +16,10 @@
  *   });
  *
  *   await rc.connect();
+ *
+ * Handlers receive a second argument { progress, signal, callerId }:
+ *   progress(progress, total?, message?) — report progress to the MCP caller
+ *   signal — AbortSignal aborted when the caller cancels the call
  */
 
 import WebSocket from 'ws';
@@ -32,13 +36,24 @@ export class BrokerClient {
    * @param {object} [options]
    * @param {string} [options.url] — WebSocket URL of the broker
    * @param {boolean} [options.autoReconnect] — reconnect on disconnect (default: true)
+   * @param {string} [options.token] — broker-client credential, sent with register
+   * @param {boolean} [options.validateArguments] — let the broker check call arguments
+   *   against each tool's inputSchema before routing (default: true)
+   * @param {boolean} [options.pool] — join other processes registered under the same
+   *   clientId instead of replacing them; the broker load-balances calls across them
+   * @param {string} [options.balance] — pool strategy: 'round-robin' | 'least-in-flight'
    */
   constructor(clientId, options = {}) {
     this.clientId = clientId;
     this.url = options.url || DEFAULT_URL;
     this.autoReconnect = options.autoReconnect !== false;
-    this._tools = new Map();       // name → { description, inputSchema, handler }
+    this.token = options.token || null;
+    this.validateArguments = options.validateArguments !== false;
+    this.pool = options.pool === true;
+    this.balance = options.balance || null;
+    this._tools = new Map();       // name → { description, inputSchema, handler, timeoutMs?, idempotent?, queueable? }
     this._pendingChats = new Map(); // requestId → { resolve, reject, timer }
+    this._activeCalls = new Map();  // callId → AbortController
     this._ws = null;
     this._registered = false;
     this._reconnectDelay = RECONNECT_DELAY_MS;
@@ -48,8 +63,12 @@ export class BrokerClient {
   /**
    * Register a tool before or after connecting.
    * If already connected, re-registers with the server.
+   * Optional timeoutMs overrides the broker's default call timeout for this tool.
+   * Set idempotent: true if a call may safely run twice — the broker then retries
+   * it once when this client disconnects mid-call. Set queueable: true to let the
+   * broker queue calls while this client is offline and deliver them on reconnect.
    */
-  addTool({ name, description, inputSchema, handler }) {
+  addTool({ name, description, inputSchema, handler, timeoutMs, idempotent, queueable }) {
     if (!name || typeof handler !== 'function') {
       throw new Error('Tool must have a name and handler function');
     }
@@ -57,6 +76,9 @@ export class BrokerClient {
       description: description || '',
       inputSchema: inputSchema || { type: 'object', properties: {} },
       handler,
+      timeoutMs,
+      idempotent,
+      queueable,
     });
     // Re-register if already connected
     if (this._registered && this._ws?.readyState === WebSocket.OPEN) {
@@ -88,8 +110,15 @@ export class BrokerClient {
         this._handleMessage(msg, resolve, reject);
       });
 
-      this._ws.on('close', () => {
+      this._ws.on('close', (code, reason) => {
         this._registered = false;
+        if (code === 1008) {
+          // Policy violation: the broker rejected our credentials — retrying won't help
+          this._closed = true;
+          this._log(`Broker rejected authentication (${reason || 'policy violation'}) — not reconnecting`);
+          reject(new Error(`Authentication rejected: ${reason || 'policy violation'}`));
+          return;
+        }
         if (!this._closed && this.autoReconnect) {
           this._log(`Disconnected. Reconnecting in ${this._reconnectDelay}ms...`);
           setTimeout(() => {
@@ -117,6 +146,8 @@ export class BrokerClient {
       pending.reject(new Error('Disconnected'));
     }
     this._pendingChats.clear();
+    for (const controller of this._activeCalls.values()) controller.abort(new Error('Disconnected'));
+    this._activeCalls.clear();
     if (this._ws) {
       if (this._ws.readyState === WebSocket.OPEN) {
         this._ws.send(JSON.stringify({ type: 'unregister' }));
@@ -166,13 +197,18 @@ export class BrokerClient {
   _sendRegister() {
     const tools = [];
     for (const [name, t] of this._tools) {
-      tools.push({ name, description: t.description, inputSchema: t.inputSchema });
+      const tool = { name, description: t.description, inputSchema: t.inputSchema };
+      if (t.timeoutMs) tool.timeoutMs = t.timeoutMs;
+      if (t.idempotent) tool.idempotent = true;
+      if (t.queueable) tool.queueable = true;
+      tools.push(tool);
     }
-    this._ws.send(JSON.stringify({
-      type: 'register',
-      clientId: this.clientId,
-      tools,
-    }));
+    const msg = { type: 'register', clientId: this.clientId, tools };
+    if (this.token) msg.token = this.token;
+    if (!this.validateArguments) msg.validateArguments = false;
+    if (this.pool) msg.pool = true;
+    if (this.balance) msg.balance = this.balance;
+    this._ws.send(JSON.stringify(msg));
   }
 
   _handleMessage(msg, resolveConnect, rejectConnect) {
@@ -180,20 +216,31 @@ export class BrokerClient {
       case 'registered':
         this._registered = true;
         this._log(`Registered as "${msg.clientId}" with ${this._tools.size} tool(s)`);
+        for (const w of msg.warnings || []) {
+          this._log(`Tool warning${w.tool ? ` (${w.tool})` : ''}: ${w.message}`);
+        }
         if (resolveConnect) resolveConnect();
         break;
 
       case 'error':
         this._log(`Server error: ${msg.message}`);
-        if (!this._registered && rejectConnect) {
-          rejectConnect(new Error(msg.message));
-        }
+        // Any error before "registered" means this connect() attempt failed
+        if (!this._registered) rejectConnect?.(new Error(msg.message));
         break;
 
       case 'tool_call':
         this._handleToolCall(msg);
         break;
 
+      case 'tool_cancel': {
+        const controller = this._activeCalls.get(msg.callId);
+        if (controller) {
+          this._activeCalls.delete(msg.callId);
+          controller.abort(new Error(msg.reason || 'Cancelled'));
+        }
+        break;
+      }
+
       case 'chat_response': {
         const pending = this._pendingChats.get(msg.requestId);
         if (pending) {
@@ -217,7 +264,7 @@ export class BrokerClient {
   }
 
   async _handleToolCall(msg) {
-    const { callId, tool, arguments: args } = msg;
+    const { callId, tool, arguments: args, callerId } = msg;
     const entry = this._tools.get(tool);
 
     if (!entry) {
@@ -225,17 +272,26 @@ export class BrokerClient {
       return;
     }
 
+    const controller = new AbortController();
+    this._activeCalls.set(callId, controller);
+    const progress = (value, total, message) => {
+      if (controller.signal.aborted || this._ws?.readyState !== WebSocket.OPEN) return;
+      this._ws.send(JSON.stringify({ type: 'tool_progress', callId, progress: value, total, message }));
+    };
+
     try {
-      const result = await entry.handler(args || {});
+      const result = await entry.handler(args || {}, { progress, signal: controller.signal, callerId });
       // Normalize result to MCP content array
       const content = typeof result === 'string'
         ? [{ type: 'text', text: result }]
         : Array.isArray(result)
           ? result
           : [{ type: 'text', text: JSON.stringify(result) }];
-      this._sendResult(callId, content, false);
+      if (!controller.signal.aborted) this._sendResult(callId, content, false);
     } catch (err) {
-      this._sendResult(callId, [{ type: 'text', text: `Error: ${err.message}` }], true);
+      if (!controller.signal.aborted) this._sendResult(callId, [{ type: 'text', text: `Error: ${err.message}` }], true);
+    } finally {
+      this._activeCalls.delete(callId);
     }
   }
 
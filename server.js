@@ -12,11 +12,14 @@
  * union of all registered tools and can call them transparently.
  *
  * Protocol (WebSocket, JSON messages):
- *   broker-client → server:  { type: "register", clientId, tools }
+ *   broker-client → server:  { type: "register", clientId, tools, resourceTemplates?, token? }
+ *                            (each tool may declare timeoutMs to override the broker default)
  *   broker-client → server:  { type: "unregister" }
  *   server → broker-client:  { type: "registered", clientId }
  *   server → broker-client:  { type: "tool_call", callId, tool, arguments }
  *   broker-client → server:  { type: "tool_result", callId, content, isError }
+ *   broker-client → server:  { type: "tool_progress", callId, progress, total?, message? }
+ *   server → broker-client:  { type: "tool_cancel", callId, reason }
  *   broker-client → server:  { type: "chat_request", requestId, payload }
  *   server → broker-client:  { type: "chat_response", requestId, payload }
  *   server → broker-client:  { type: "chat_error", requestId, error }
@@ -40,60 +43,143 @@
  *   server → broker-client:  { type: "tool_events/list", tools: [...] }
  *
  * Resources (MCP-style subscriptions):
- *   broker-client → server:  { type: "resources/update", uri, content }
- *   server → broker-client:  { type: "resources/updated", uri }
- *   broker-client → server:  { type: "resources/subscribe", uri }
+ *   broker-client → server:  { type: "resources/update", uri, content, name?, description?, mimeType?, expectedVersion? }
+ *   server → broker-client:  { type: "resources/updated", uri, version, etag }
+ *   server → broker-client:  { type: "resources/conflict", uri, expectedVersion, version, etag }
+ *   broker-client → server:  { type: "resources/patch", uri, patch, format?: "json-patch"|"merge-patch", expectedVersion? }
+ *   broker-client → server:  { type: "resources/delete", uri }
+ *   server → broker-client:  { type: "resources/deleted", uri }
+ *   server → subscriber:    { type: "notifications/resources/deleted", uri }
+ *   broker-client → server:  { type: "resources/grant" | "resources/revoke", uri, clientId }
+ *   server → broker-client:  { type: "resources/writers", uri, writers }
+ *   broker-client → server:  { type: "resources/subscribe", uri, patches? }   (uri may be a glob, e.g. "poker://table/*")
  *   server → broker-client:  { type: "resources/subscribed", uri }
  *   broker-client → server:  { type: "resources/unsubscribe", uri }
  *   server → broker-client:  { type: "resources/unsubscribed", uri }
- *   broker-client → server:  { type: "resources/read", uri }
- *   server → broker-client:  { type: "resources/content", uri, content, clientId, updatedAt }
- *   server → subscriber:    { type: "notifications/resources/updated", uri }
- *   broker-client → server:  { type: "resources/list" }
+ *   broker-client → server:  { type: "resources/read", uri, version?, ifNoneMatch? }
+ *   server → broker-client:  { type: "resources/content", uri, content, clientId, updatedAt, version, etag }
+ *   server → broker-client:  { type: "resources/not_modified", uri, version, etag }
+ *   server → subscriber:    { type: "notifications/resources/updated", uri, version, etag, patch?, format?, baseVersion? }
+ *   broker-client → server:  { type: "resources/list", pattern? }
  *   server → broker-client:  { type: "resources/list", resources: [...] }
+ *
+ * Published resources are also served to MCP clients over HTTP via
+ * resources/list, resources/read, resources/templates/list and
+ * resources/subscribe.
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  isInitializeRequest,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
 import crypto from 'crypto';
 import express from 'express';
+import fs from 'fs';
 import http from 'http';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 import { BrokerClient } from '../mcp-broker-client/sdk.js';
 import { generateClientDashboard } from './client-dashboard.js';
+import { applyJsonPatch, applyMergePatch } from './json-patch.js';
+import { createStateStore } from './state-store.js';
 
 // ─── Configuration ───────────────────────────────────────────────────────────
 
+/** setTimeout fires at once for delays above 2^31-1 ms, so every timeout is capped there. */
+const MAX_TIMER_MS = 2_147_483_647;
+
+/** A positive millisecond value from the environment; invalid values fall back with a warning. */
+function timeoutFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (Number.isFinite(value) && value > 0) return Math.min(value, MAX_TIMER_MS);
+  log(`Ignoring invalid ${name}="${raw}" — using ${fallback}`);
+  return fallback;
+}
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
 const WS_PORT = parseInt(process.env.BROKER_WS_PORT || '3099', 10);
 const HTTP_PORT = parseInt(process.env.MCP_HTTP_PORT || '3098', 10);
 const BIND_HOST = process.env.BROKER_BIND_HOST || '0.0.0.0';
-const TOOL_CALL_TIMEOUT_MS = 300_000;
+const WS_MAX_PAYLOAD_BYTES = parseInt(process.env.WS_MAX_PAYLOAD_BYTES || String(10 * 1024 * 1024), 10);
+const WS_SEND_BUFFER_LIMIT_BYTES = parseInt(process.env.WS_SEND_BUFFER_LIMIT_BYTES || String(1024 * 1024), 10);
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10);
+const TOOL_CALL_TIMEOUT_MAX_MS = timeoutFromEnv('TOOL_CALL_TIMEOUT_MAX_MS', 3600000);
+const TOOL_CALL_TIMEOUT_MS = Math.min(timeoutFromEnv('TOOL_CALL_TIMEOUT_MS', 300000), TOOL_CALL_TIMEOUT_MAX_MS);
+const TOOL_RETRY_GRACE_MS = parseInt(process.env.TOOL_RETRY_GRACE_MS || '10000', 10);
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS || '15000', 10);
+const RECONNECT_QUEUE_MAX = parseInt(process.env.RECONNECT_QUEUE_MAX || '20', 10);
+const BROKER_CLIENT_TOKENS = process.env.BROKER_CLIENT_TOKENS || '';
+const BROKER_CLIENT_TOKENS_FILE = process.env.BROKER_CLIENT_TOKENS_FILE || '';
+const MCP_API_KEYS = process.env.MCP_API_KEYS || '';
+const MCP_API_KEYS_FILE = process.env.MCP_API_KEYS_FILE || '';
+const CORS_ORIGINS = process.env.CORS_ORIGINS || 'http://localhost:*,http://127.0.0.1:*,chrome-extension://*';
+const TOOL_POLICY_FILE = process.env.TOOL_POLICY_FILE || '';
+const RATE_LIMITS_FILE = process.env.RATE_LIMITS_FILE || '';
+const RESOURCE_POLICY_FILE = process.env.RESOURCE_POLICY_FILE || '';
+const ACCESS_APPROVAL_REQUIRED = process.env.ACCESS_APPROVAL_REQUIRED === 'true';
+const ACCESS_APPROVAL_TIMEOUT_MS = parseInt(process.env.ACCESS_APPROVAL_TIMEOUT_MS || '120000', 10);
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE ?? join(__dirname, 'data', 'audit.jsonl');
+const AUDIT_LOG_MAX_BYTES = parseInt(process.env.AUDIT_LOG_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const AUDIT_LOG_MAX_FILES = parseInt(process.env.AUDIT_LOG_MAX_FILES || '5', 10);
+const AUDIT_LOG_ARGS = process.env.AUDIT_LOG_ARGS === 'redact' ? 'redact' : 'hash';
+const CALL_QUEUE_FILE = process.env.CALL_QUEUE_FILE ?? join(__dirname, 'data', 'call-queue.json');
+const CALL_QUEUE_MAX = parseInt(process.env.CALL_QUEUE_MAX || '50', 10);
+const CALL_RESULT_TTL_MS = parseInt(process.env.CALL_RESULT_TTL_MS || '3600000', 10);
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || '3600000', 10);
+const STATE_STORE = process.env.STATE_STORE || 'file';
+const STATE_FILE = process.env.STATE_FILE || join(__dirname, 'data', 'broker-state.json');
+const STATE_SAVE_DEBOUNCE_MS = parseInt(process.env.STATE_SAVE_DEBOUNCE_MS || '1000', 10);
+const JOBS_MAX_RUNNING = parseInt(process.env.JOBS_MAX_RUNNING || '20', 10);
 const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434';
 const DEFAULT_MODEL = process.env.OLLAMA_MODEL || 'qwen2.5:3b';
 const ACTIVITY_LOG_MAX = 200;
 const NOTIFICATION_MAX_PER_CLIENT = 100;
 const NOTIFICATION_MAX_GLOBAL = 500;
+const RESOURCE_HISTORY_MAX = parseInt(process.env.RESOURCE_HISTORY_MAX || '10', 10);
+const MCP_SESSION_IDLE_MS = parseInt(process.env.MCP_SESSION_IDLE_MS || '600000', 10);
+const TOOL_LIST_CHANGED_DEBOUNCE_MS = parseInt(process.env.TOOL_LIST_CHANGED_DEBOUNCE_MS || '250', 10);
+const POOL_BALANCE_STRATEGIES = ['round-robin', 'least-in-flight'];
+const POOL_BALANCE = POOL_BALANCE_STRATEGIES.includes(process.env.POOL_BALANCE) ? process.env.POOL_BALANCE : 'round-robin';
 
 // ─── Registry ────────────────────────────────────────────────────────────────
 
 /**
- * Map of clientId → { ws, tools: [{ name, description, inputSchema }], connectedAt }
+ * Map of clientId → { members, pool, balance, nextMember, tools: [{ name, description, inputSchema, timeoutMs?, idempotent?, queueable? }],
+ *   resourceTemplates, credential, validateArguments, connectedAt, access?, disconnected?, disconnectedAt?, graceEndsAt?, graceTimer?, queued? }
+ * members: [{ ws, inFlight, calls, connectedAt }] — one socket unless the client registered in pool mode;
+ * empty while a disconnected client is within its reconnect grace period.
  */
 const registry = new Map();
 
 /**
  * Pending tool calls awaiting results.
- * Map of callId → { resolve, reject, timer }
+ * Map of callId → { resolve, reject, timer, member, clientId, toolName, onProgress? }
  */
 const pendingCalls = new Map();
 
 // ─── Dashboard State ─────────────────────────────────────────────────────────
 
 const serverStartedAt = Date.now();
-const stats = { toolCalls: 0, toolErrors: 0, chatRequests: 0, chatErrors: 0, totalConnections: 0, notifications: 0 };
+const stats = {
+  toolCalls: 0, toolErrors: 0, chatRequests: 0, chatErrors: 0, totalConnections: 0, notifications: 0,
+  authFailures: 0, toolDenied: 0, invalidArguments: 0, toolRetries: 0, callsQueued: 0, rateLimited: 0,
+  messagesDropped: 0, messagesCoalesced: 0, oversizedMessages: 0, heartbeatTimeouts: 0,
+};
 const activityLog = []; // { time, type, message, data? }
 const sseClients = new Set();
 
@@ -108,10 +194,146 @@ const wsSubscriptions = new Map();
 
 // ─── Resource Storage (MCP-style) ────────────────────────────────────────────
 
-/** Published resources: uri → { content, clientId, updatedAt } */
+/** Published resources: uri → { content, clientId (owner), updatedAt, version, etag, updatedBy?, writers?, name?, description?, mimeType?, stale? } */
 const resources = new Map();
-/** Resource subscriptions: uri → Set<ws> */
+/** Superseded versions, oldest first: uri → [{ content, clientId, updatedAt, version, etag }] (at most RESOURCE_HISTORY_MAX) */
+const resourceHistory = new Map();
+/** Resource subscriptions: uri or glob pattern (e.g. "poker://table/*") → { re, subs: Set<ws> } */
 const resourceSubscriptions = new Map();
+/** Subscribers that asked for patches instead of bare pings: ws → Map<uri or pattern, re> */
+const resourcePatchSubscribers = new WeakMap();
+/** MCP client resource subscriptions: uri or glob pattern → { re, subs: Set<Server> } */
+const mcpResourceSubscriptions = new Map();
+
+/** Add sub under key; a glob key is compiled once here rather than on every notification. */
+function addSubscription(subscriptions, key, sub) {
+  if (!subscriptions.has(key)) {
+    subscriptions.set(key, { re: key.includes('*') ? globToRegExp(key) : null, subs: new Set() });
+  }
+  subscriptions.get(key).subs.add(sub);
+}
+
+function removeSubscription(subscriptions, key, sub) {
+  const entry = subscriptions.get(key);
+  if (!entry) return;
+  entry.subs.delete(sub);
+  if (entry.subs.size === 0) subscriptions.delete(key);
+}
+
+/**
+ * Everyone in a subscription map whose key is uri or a glob matching it.
+ * Keys containing "*" are globs ("poker://table/*" follows every table);
+ * notifications always carry the concrete URI that changed.
+ */
+function matchingSubscribers(subscriptions, uri) {
+  const matched = new Set(subscriptions.get(uri)?.subs);
+  for (const [key, { re, subs }] of subscriptions) {
+    if (key === uri || !re?.test(uri)) continue;
+    for (const sub of subs) matched.add(sub);
+  }
+  return matched;
+}
+
+function wantsResourcePatches(ws, uri) {
+  const keys = resourcePatchSubscribers.get(ws);
+  if (!keys) return false;
+  if (keys.has(uri)) return true;
+  for (const re of keys.values()) if (re?.test(uri)) return true;
+  return false;
+}
+
+/** Strong ETag: version plus a content digest, so a re-created URI never reuses an old tag. */
+function resourceEtag(version, content) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(content ?? null)).digest('hex').slice(0, 16);
+  return `"${version}-${digest}"`;
+}
+
+/** Move a superseded resource into its URI's history window. */
+function recordResourceVersion(uri, r) {
+  if (RESOURCE_HISTORY_MAX <= 0) return;
+  if (!resourceHistory.has(uri)) resourceHistory.set(uri, []);
+  const history = resourceHistory.get(uri);
+  history.push({ content: r.content, clientId: r.clientId, updatedAt: r.updatedAt, version: r.version, etag: r.etag });
+  if (history.length > RESOURCE_HISTORY_MAX) history.shift();
+}
+
+/** The current resource, or a specific version from its history (undefined if gone). */
+function findResourceVersion(uri, version) {
+  const current = resources.get(uri);
+  if (version === undefined || version === null || current?.version === version) return current;
+  return resourceHistory.get(uri)?.find(r => r.version === version);
+}
+
+// ─── MCP Sessions (Streamable HTTP) ──────────────────────────────────────────
+
+/** Stateful MCP sessions: sessionId → { server, transport, identity, lastSeen, streams } */
+const mcpSessions = new Map();
+/** Signature of the namespaced tool set last announced to MCP sessions */
+let lastToolListSignature = '';
+let toolListChangedTimer = null;
+
+// ─── WebSocket Backpressure ──────────────────────────────────────────────────
+
+/**
+ * Fan-out messages (notifications, tool events, resource pings) skip subscribers whose
+ * send buffer is over WS_SEND_BUFFER_LIMIT_BYTES. Messages with a coalesce key (e.g. one
+ * resource's "updated" ping) are held — only the latest per key — and flushed once the
+ * buffer drains; others are dropped. Direct replies (tool_call, results) are never held.
+ */
+const SLOW_CONSUMER_ACTIVITY_MS = 10_000;
+const heldSends = new Map();     // ws → Map<coalesceKey, payload>
+const slowConsumers = new Map(); // ws → { dropped, coalesced, lastActivity }
+
+/** Send a fan-out message to ws; returns true if it was written now. */
+function sendWithBackpressure(ws, payload, coalesceKey) {
+  if (ws.readyState !== 1) return false;
+  if (ws.bufferedAmount <= WS_SEND_BUFFER_LIMIT_BYTES) {
+    try { ws.send(payload); return true; } catch { return false; }
+  }
+  if (coalesceKey) {
+    if (!heldSends.has(ws)) heldSends.set(ws, new Map());
+    const held = heldSends.get(ws);
+    if (held.has(coalesceKey)) {
+      stats.messagesCoalesced++;
+      noteSlowConsumer(ws, 'coalesced');
+    }
+    held.set(coalesceKey, payload);
+  } else {
+    stats.messagesDropped++;
+    noteSlowConsumer(ws, 'dropped');
+  }
+  return false;
+}
+
+function noteSlowConsumer(ws, outcome) {
+  if (!slowConsumers.has(ws)) slowConsumers.set(ws, { dropped: 0, coalesced: 0, lastActivity: 0 });
+  const slow = slowConsumers.get(ws);
+  slow[outcome]++;
+  // One activity entry per slow socket every few seconds, not one per message
+  if (Date.now() - slow.lastActivity < SLOW_CONSUMER_ACTIVITY_MS) return;
+  slow.lastActivity = Date.now();
+  const clientId = clientIdForSocket(ws) || 'unregistered';
+  log(`Slow consumer "${clientId}": ${ws.bufferedAmount} bytes buffered — ${slow.dropped} dropped, ${slow.coalesced} coalesced so far`);
+  addActivity('backpressure', `"${clientId}" is a slow consumer — ${slow.dropped} message(s) dropped, ${slow.coalesced} coalesced`,
+    { clientId, bufferedAmount: ws.bufferedAmount, dropped: slow.dropped, coalesced: slow.coalesced });
+}
+
+/** Deliver held messages to sockets whose send buffer has drained. */
+function flushHeldSends() {
+  for (const [ws, held] of heldSends) {
+    if (ws.readyState !== 1) {
+      heldSends.delete(ws);
+      continue;
+    }
+    if (ws.bufferedAmount > WS_SEND_BUFFER_LIMIT_BYTES) continue;
+    heldSends.delete(ws);
+    for (const payload of held.values()) {
+      try { ws.send(payload); } catch {}
+    }
+  }
+}
+
+setInterval(flushHeldSends, 250).unref();
 
 // ─── Tool Event Subscriptions ────────────────────────────────────────────────
 
@@ -127,10 +349,12 @@ function storeNotification(clientId, notification) {
   // Global buffer
   globalNotifications.push(notification);
   if (globalNotifications.length > NOTIFICATION_MAX_GLOBAL) globalNotifications.shift();
+  scheduleStateSave();
 }
 
 function clearClientNotifications(clientId) {
   clientNotifications.delete(clientId);
+  scheduleStateSave();
 }
 
 function getNotifications(clientId, limit = 50) {
@@ -147,9 +371,8 @@ function broadcastNotification(notification) {
   const payload = JSON.stringify({ type: 'notification', ...notification });
   let sent = 0;
   for (const [ws, filters] of wsSubscriptions) {
-    if (ws.readyState !== 1) continue; // OPEN = 1
     if (filters.has('*') || filters.has(notification.clientId)) {
-      try { ws.send(payload); sent++; } catch {}
+      if (sendWithBackpressure(ws, payload)) sent++;
     }
   }
   log(`[NOTIF] from=${notification.clientId} event=${notification.event?.type || '?'} sent_to=${sent}/${wsSubscriptions.size} ws_subs`);
@@ -176,19 +399,29 @@ function broadcastState() {
 function buildStatusSnapshot() {
   const clients = [];
   for (const [clientId, entry] of registry) {
+    const health = entry.members.map(m => socketHealthView(m.ws));
     clients.push({
       clientId,
       connectedAt: entry.connectedAt,
+      disconnected: entry.disconnected || undefined,
+      disconnectedAt: entry.disconnectedAt,
+      lastSeen: health.map(h => h.lastSeen).sort().pop() || null,
+      latencyMs: health.reduce((max, h) => (h.latencyMs > (max ?? -1) ? h.latencyMs : max), null),
       tools: entry.tools.map(t => ({ name: t.name, description: t.description || '', inputSchema: t.inputSchema || { type: 'object', properties: {} } })),
+      pool: entry.pool ? {
+        balance: entry.balance,
+        members: entry.members.map((m, i) => ({ connectedAt: m.connectedAt, inFlight: m.inFlight, calls: m.calls, ...health[i] })),
+      } : undefined,
     });
   }
   return {
     uptime: Date.now() - serverStartedAt,
     startedAt: new Date(serverStartedAt).toISOString(),
-    connectedClients: registry.size,
+    connectedClients: [...registry.values()].filter(e => !e.disconnected).length,
     totalTools: clients.reduce((sum, c) => sum + c.tools.length, 0),
     stats: { ...stats },
     clients,
+    approvals: listPendingApprovals(),
   };
 }
 
@@ -207,22 +440,104 @@ function parseNamespacedTool(namespacedName) {
   };
 }
 
+/** clientId whose registry entry includes ws as a member, or null. */
+function clientIdForSocket(ws) {
+  for (const [clientId, entry] of registry) {
+    if (entry.members.some(m => m.ws === ws)) return clientId;
+  }
+  return null;
+}
+
 function log(msg) {
   process.stderr.write(`[broker] ${msg}\n`);
 }
 
+/** Compile a glob pattern ('*' matches any characters) into an anchored RegExp. */
+function globToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+// ─── Broker-Client Authentication ───────────────────────────────────────────
+
+/**
+ * Load broker-client credentials: [{ name, token, clientIds? }].
+ *   BROKER_CLIENT_TOKENS       — comma-separated name:token pairs
+ *   BROKER_CLIENT_TOKENS_FILE  — JSON array (or { credentials: [...] }) of { name, token, clientIds? }
+ * clientIds restricts which clientIds the credential may register ('*' or omitted = any).
+ * Authentication is enforced only when at least one credential is configured.
+ */
+function loadBrokerClientCredentials() {
+  const credentials = [];
+  for (const pair of BROKER_CLIENT_TOKENS.split(',').map(p => p.trim()).filter(Boolean)) {
+    const sep = pair.indexOf(':');
+    if (sep <= 0) throw new Error(`BROKER_CLIENT_TOKENS entry must be name:token, got "${pair}"`);
+    credentials.push({ name: pair.slice(0, sep), token: pair.slice(sep + 1) });
+  }
+  if (BROKER_CLIENT_TOKENS_FILE) {
+    const parsed = JSON.parse(fs.readFileSync(BROKER_CLIENT_TOKENS_FILE, 'utf8'));
+    for (const c of Array.isArray(parsed) ? parsed : parsed.credentials || []) {
+      if (!c?.name || !c?.token) throw new Error(`${BROKER_CLIENT_TOKENS_FILE}: every credential needs a name and token`);
+      credentials.push({ name: c.name, token: String(c.token), clientIds: Array.isArray(c.clientIds) ? c.clientIds : undefined });
+    }
+  }
+  return credentials;
+}
+
+const brokerClientCredentials = loadBrokerClientCredentials();
+const brokerClientAuthEnabled = brokerClientCredentials.length > 0;
+
+// The in-process dashboard client authenticates with a per-process token.
+const INTERNAL_CLIENT_TOKEN = crypto.randomBytes(24).toString('hex');
+if (brokerClientAuthEnabled) {
+  brokerClientCredentials.push({ name: 'broker-internal', token: INTERNAL_CLIENT_TOKEN, clientIds: ['dashboard'] });
+}
+
+function tokensEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/** Return the credential matching token, or null. */
+function findBrokerClientCredential(token) {
+  if (typeof token !== 'string' || !token) return null;
+  return brokerClientCredentials.find(c => tokensEqual(c.token, token)) || null;
+}
+
+/** Token sent on the WebSocket upgrade: Authorization: Bearer <token> or X-Broker-Token. */
+function upgradeToken(req) {
+  const auth = req?.headers?.authorization;
+  if (typeof auth === 'string' && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req?.headers?.['x-broker-token'] || null;
+}
+
+function credentialAllowsClientId(credential, clientId) {
+  return !credential.clientIds || credential.clientIds.includes('*') || credential.clientIds.includes(clientId);
+}
+
 // ─── WebSocket Server (broker-client side) ──────────────────────────────────
 
 const wsHttpServer = http.createServer((_req, res) => {
   res.writeHead(302, { Location: `http://localhost:${HTTP_PORT}/` });
   res.end();
 });
-wsHttpServer.listen(WS_PORT, BIND_HOST);
-const wss = new WebSocketServer({ server: wsHttpServer });
-log(`WebSocket server listening on ${BIND_HOST}:${WS_PORT}`);
+// Listening starts in main(), once persisted state has been loaded
+const wss = new WebSocketServer({ server: wsHttpServer, maxPayload: WS_MAX_PAYLOAD_BYTES });
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  trackSocketHealth(ws);
   let assignedClientId = null;
+  // Credential presented on the upgrade request (may be replaced by a register token)
+  let credential = brokerClientAuthEnabled ? findBrokerClientCredential(upgradeToken(req)) : null;
+
+  function rejectAuth(message) {
+    stats.authFailures++;
+    log(`Rejected broker-client: ${message}`);
+    addActivity('auth_failed', message, { remoteAddress: req?.socket?.remoteAddress });
+    ws.send(JSON.stringify({ type: 'error', message }));
+    // 1008 (policy violation) tells clients not to retry with the same credentials
+    ws.close(1008, 'Authentication failed');
+  }
 
   ws.on('message', (raw) => {
     let msg;
@@ -233,6 +548,11 @@ wss.on('connection', (ws) => {
       return;
     }
 
+    if (brokerClientAuthEnabled && !credential && msg.type !== 'register') {
+      rejectAuth(`Authentication required: register with a valid token before "${msg.type}"`);
+      return;
+    }
+
     switch (msg.type) {
       case 'register': {
         // Validate
@@ -240,28 +560,91 @@ wss.on('connection', (ws) => {
           ? msg.clientId.replace(/[^a-zA-Z0-9_-]/g, '_')
           : `rc_${crypto.randomBytes(4).toString('hex')}`;
 
-        if (registry.has(clientId)) {
-          const old = registry.get(clientId);
-          if (old.ws !== ws) {
-            // Different socket — genuine reconnect, close the stale one
+        if (brokerClientAuthEnabled) {
+          if (msg.token !== undefined) credential = findBrokerClientCredential(msg.token);
+          if (!credential) {
+            rejectAuth(`Authentication failed for "${clientId}": missing or invalid token`);
+            break;
+          }
+          if (!credentialAllowsClientId(credential, clientId)) {
+            rejectAuth(`Credential "${credential.name}" may not register as "${clientId}"`);
+            break;
+          }
+        }
+
+        const { tools, warnings } = validateToolDefinitions(msg.tools);
+        for (const w of warnings) log(`Tool definition warning for "${clientId}": ${w.tool ? `${w.tool}: ` : ''}${w.message}`);
+        const resourceTemplates = Array.isArray(msg.resourceTemplates)
+          ? msg.resourceTemplates.filter(t => t && typeof t.uriTemplate === 'string')
+          : [];
+
+        const old = registry.get(clientId);
+        const isMember = !!old?.members.some(m => m.ws === ws);
+        if (old && !isMember && old.credential !== (credential?.name ?? null)) {
+          // Only a socket presenting the same credential may take over (or join) a clientId
+          rejectAuth(`clientId "${clientId}" is already registered by another credential`);
+          break;
+        }
+
+        if (old && !isMember && old.pool && !old.disconnected && msg.pool === true) {
+          // Pool mode — join the existing members instead of replacing them
+          old.members.push(createPoolMember(ws));
+          old.tools = tools;
+          old.resourceTemplates = resourceTemplates;
+          assignedClientId = clientId;
+          stats.totalConnections++;
+          log(`Broker-client "${clientId}" pool member joined (${old.members.length} member(s))`);
+          addActivity('connect', `"${clientId}" pool member joined (${old.members.length} member(s))`, { clientId, poolSize: old.members.length });
+        } else {
+          let members = [createPoolMember(ws)];
+          const restored = !!old?.disconnected;
+          if (restored) {
+            // Back within the grace period — tools, resources and notifications were kept
+            clearTimeout(old.graceTimer);
+            log(`Broker-client "${clientId}" reconnected within grace period`);
+            addActivity('connect', `"${clientId}" reconnected`, { clientId });
+          } else if (old && !isMember) {
+            // Different socket — genuine reconnect, close the stale one(s)
             log(`Replacing stale broker-client "${clientId}" (reconnect)`);
-            try { old.ws.close(1000, 'Replaced by new connection'); } catch {}
+            for (const m of old.members) {
+              try { m.ws.close(1000, 'Replaced by new connection'); } catch {}
+            }
             addActivity('disconnect', `"${clientId}" replaced by reconnect`, { clientId });
-          } else {
+          } else if (old) {
             // Same socket — client is re-registering (e.g., added a tool)
             log(`Re-registering broker-client "${clientId}" (tool update)`);
+            if (old.pool) members = old.members;
           }
           registry.delete(clientId);
-        }
 
-        const tools = Array.isArray(msg.tools) ? msg.tools : [];
-        assignedClientId = clientId;
-        registry.set(clientId, { ws, tools, connectedAt: new Date().toISOString() });
-        stats.totalConnections++;
-        log(`Registered broker-client "${clientId}" with ${tools.length} tool(s)`);
-        addActivity('connect', `"${clientId}" registered with ${tools.length} tool(s)`, { clientId, tools: tools.map(t => t.name) });
+          const pool = isMember ? old.pool : msg.pool === true;
+          assignedClientId = clientId;
+          registry.set(clientId, {
+            members, pool,
+            balance: POOL_BALANCE_STRATEGIES.includes(msg.balance) ? msg.balance : (isMember ? old.balance : POOL_BALANCE),
+            nextMember: 0,
+            tools, resourceTemplates,
+            credential: credential?.name ?? null,
+            validateArguments: msg.validateArguments !== false,
+            connectedAt: new Date().toISOString(),
+            ...(restored && old.access ? { access: old.access } : {}),
+          });
+          stats.totalConnections++;
+          log(`Registered broker-client "${clientId}" with ${tools.length} tool(s)${pool ? ' (pool)' : ''}`);
+          addActivity('connect', `"${clientId}" registered with ${tools.length} tool(s)`, { clientId, tools: tools.map(t => t.name) });
+        }
+        notifyProviderWaiters(clientId);
+        if (warnings.length) {
+          addActivity('warning', `"${clientId}" sent ${warnings.length} tool definition warning(s)`, { clientId, warnings });
+        }
         broadcastState();
-        ws.send(JSON.stringify({ type: 'registered', clientId, dashboardUrl: `http://localhost:${HTTP_PORT}/client/${clientId}` }));
+        scheduleToolListChanged();
+        const reply = { type: 'registered', clientId, dashboardUrl: `http://localhost:${HTTP_PORT}/client/${clientId}` };
+        if (warnings.length) reply.warnings = warnings;
+        ws.send(JSON.stringify(reply));
+        rememberQueueableTools(clientId, registry.get(clientId));
+        refreshStaleResources(clientId);
+        deliverQueuedCalls(clientId);
         break;
       }
 
@@ -285,13 +668,20 @@ wss.on('connection', (ws) => {
       }
 
       case 'unregister': {
-        if (assignedClientId && registry.has(assignedClientId)) {
+        const entry = assignedClientId && registry.get(assignedClientId);
+        const remaining = entry ? removePoolMember(entry, ws) : -1;
+        if (remaining > 0) {
+          log(`Broker-client "${assignedClientId}" pool member unregistered (${remaining} remaining)`);
+          addActivity('disconnect', `"${assignedClientId}" pool member unregistered`, { clientId: assignedClientId, poolSize: remaining });
+          broadcastState();
+        } else if (remaining === 0) {
           registry.delete(assignedClientId);
           log(`Unregistered broker-client "${assignedClientId}"`);
           addActivity('disconnect', `"${assignedClientId}" unregistered`, { clientId: assignedClientId });
           broadcastState();
-          assignedClientId = null;
+          scheduleToolListChanged();
         }
+        assignedClientId = null;
         break;
       }
 
@@ -308,6 +698,14 @@ wss.on('connection', (ws) => {
         break;
       }
 
+      case 'tool_progress': {
+        const pending = pendingCalls.get(msg.callId);
+        if (pending?.onProgress && typeof msg.progress === 'number') {
+          pending.onProgress({ progress: msg.progress, total: msg.total, message: msg.message });
+        }
+        break;
+      }
+
       case 'chat_request': {
         if (!msg.requestId || !msg.payload) {
           ws.send(JSON.stringify({ type: 'error', message: 'chat_request requires requestId and payload' }));
@@ -343,7 +741,8 @@ wss.on('connection', (ws) => {
 
       // ── MCP-style Resource Operations ──
 
-      case 'resources/update': {
+      case 'resources/update':
+      case 'resources/patch': {
         if (!assignedClientId) {
           ws.send(JSON.stringify({ type: 'error', message: 'Must register before publishing resources' }));
           break;
@@ -353,22 +752,118 @@ wss.on('connection', (ws) => {
           ws.send(JSON.stringify({ type: 'error', message: 'Resource URI is required' }));
           break;
         }
+        const prev = resources.get(uri);
+        const owner = resourceOwnerFor(uri, prev);
+        if (!canWriteResource(assignedClientId, uri, prev)) {
+          log(`[RES] ${assignedClientId} update of ${uri} rejected — owned by "${owner}"`);
+          ws.send(JSON.stringify({ type: 'error', message: `Resource ${uri} is owned by "${owner}"` }));
+          break;
+        }
+        const currentVersion = prev?.version || 0;
+        if (msg.expectedVersion !== undefined && msg.expectedVersion !== currentVersion) {
+          // Compare-and-swap lost: someone else wrote first
+          log(`[RES] ${assignedClientId} update of ${uri} rejected — expected v${msg.expectedVersion}, at v${currentVersion}`);
+          ws.send(JSON.stringify({ type: 'resources/conflict', uri, expectedVersion: msg.expectedVersion, version: currentVersion, etag: prev?.etag || null }));
+          break;
+        }
+        const isPatch = msg.type === 'resources/patch';
+        let content = msg.content;
+        let patchFormat;
+        if (isPatch) {
+          if (!prev) {
+            ws.send(JSON.stringify({ type: 'error', message: `Resource not found: ${uri}` }));
+            break;
+          }
+          patchFormat = msg.format || (Array.isArray(msg.patch) ? 'json-patch' : 'merge-patch');
+          try {
+            // A merge patch of undefined would silently erase the content
+            if (msg.patch === undefined) throw new Error('patch is required');
+            if (patchFormat === 'json-patch') content = applyJsonPatch(prev.content, msg.patch);
+            else if (patchFormat === 'merge-patch') content = applyMergePatch(prev.content, msg.patch);
+            else throw new Error(`Unknown patch format "${patchFormat}" (expected json-patch or merge-patch)`);
+          } catch (err) {
+            ws.send(JSON.stringify({ type: 'error', message: `Patch of ${uri} failed: ${err.message}` }));
+            break;
+          }
+        }
         const updatedAt = new Date().toISOString();
-        resources.set(uri, { content: msg.content, clientId: assignedClientId, updatedAt });
-        // Notify resource subscribers
-        const subs = resourceSubscriptions.get(uri);
+        const version = currentVersion + 1;
+        const resource = { content, clientId: owner || assignedClientId, updatedAt, version, etag: resourceEtag(version, content) };
+        if (resource.clientId !== assignedClientId) resource.updatedBy = assignedClientId;
+        if (prev?.writers) resource.writers = prev.writers;
+        // A patch only touches content — keep the descriptive fields from the last full update
+        const described = isPatch ? prev : msg;
+        if (typeof described.name === 'string') resource.name = described.name;
+        if (typeof described.description === 'string') resource.description = described.description;
+        if (typeof described.mimeType === 'string') resource.mimeType = described.mimeType;
+        if (prev) recordResourceVersion(uri, prev);
+        resources.set(uri, resource);
+        scheduleStateSave();
+        // Notify resource subscribers, exact and pattern alike
+        const subs = matchingSubscribers(resourceSubscriptions, uri);
+        const ping = { type: 'notifications/resources/updated', uri, version, etag: resource.etag };
+        const notification = JSON.stringify(ping);
+        const patchNotification = isPatch && JSON.stringify({ ...ping, patch: msg.patch, format: patchFormat, baseVersion: currentVersion });
         let resSent = 0;
-        if (subs) {
-          const notification = JSON.stringify({ type: 'notifications/resources/updated', uri });
-          for (const subWs of subs) {
-            if (subWs.readyState === 1 && subWs !== ws) {
-              try { subWs.send(notification); resSent++; } catch {}
-            }
-          }
+        for (const subWs of subs) {
+          if (subWs === ws) continue;
+          const coalesceKey = `resource:${uri}`;
+          // Patches are never held or coalesced — a skipped one would corrupt the subscriber's copy.
+          // A backed-up patch subscriber gets the plain ping instead and re-reads.
+          const sendPatch = patchNotification && wantsResourcePatches(subWs, uri)
+            && subWs.bufferedAmount <= WS_SEND_BUFFER_LIMIT_BYTES && !heldSends.get(subWs)?.has(coalesceKey);
+          if (sendWithBackpressure(subWs, sendPatch ? patchNotification : notification, coalesceKey)) resSent++;
+        }
+        const mcpSent = notifyMcpResourceUpdated(uri);
+        log(`[RES] ${assignedClientId} updated ${uri} → notified ${resSent + mcpSent}/${subs.size + mcpSent} subscribers`);
+        addActivity('resource_update', `${assignedClientId} ${isPatch ? 'patched' : 'updated'} ${uri} (v${version})`, { clientId: assignedClientId, uri, version, patch: isPatch || undefined });
+        ws.send(JSON.stringify({ type: 'resources/updated', uri, version, etag: resource.etag }));
+        break;
+      }
+
+      case 'resources/delete': {
+        const delUri = msg.uri;
+        const existing = delUri ? resources.get(delUri) : null;
+        if (!existing) {
+          ws.send(JSON.stringify({ type: 'error', message: `Resource not found: ${delUri}` }));
+          break;
+        }
+        if (existing.clientId !== assignedClientId) {
+          ws.send(JSON.stringify({ type: 'error', message: `Only the owner ("${existing.clientId}") can delete ${delUri}` }));
+          break;
+        }
+        deleteResource(delUri, ws);
+        log(`[RES] ${assignedClientId} deleted ${delUri}`);
+        addActivity('resource_delete', `${assignedClientId} deleted ${delUri}`, { clientId: assignedClientId, uri: delUri });
+        ws.send(JSON.stringify({ type: 'resources/deleted', uri: delUri }));
+        break;
+      }
+
+      case 'resources/grant':
+      case 'resources/revoke': {
+        const grantUri = msg.uri;
+        const existing = grantUri ? resources.get(grantUri) : null;
+        if (!existing) {
+          ws.send(JSON.stringify({ type: 'error', message: `Resource not found: ${grantUri}` }));
+          break;
+        }
+        if (existing.clientId !== assignedClientId) {
+          ws.send(JSON.stringify({ type: 'error', message: `Only the owner ("${existing.clientId}") can change writers of ${grantUri}` }));
+          break;
+        }
+        if (typeof msg.clientId !== 'string' || !msg.clientId) {
+          ws.send(JSON.stringify({ type: 'error', message: 'clientId is required' }));
+          break;
         }
-        log(`[RES] ${assignedClientId} updated ${uri} → notified ${resSent}/${subs?.size || 0} subscribers`);
-        addActivity('resource_update', `${assignedClientId} updated ${uri}`, { clientId: assignedClientId, uri });
-        ws.send(JSON.stringify({ type: 'resources/updated', uri }));
+        const writers = new Set(existing.writers || []);
+        if (msg.type === 'resources/grant') writers.add(msg.clientId);
+        else writers.delete(msg.clientId);
+        if (writers.size) existing.writers = [...writers];
+        else delete existing.writers;
+        scheduleStateSave();
+        const verb = msg.type === 'resources/grant' ? 'granted' : 'revoked';
+        addActivity('resource_grant', `${assignedClientId} ${verb} write access to ${grantUri} for "${msg.clientId}"`, { clientId: assignedClientId, uri: grantUri, grantee: msg.clientId, granted: verb === 'granted' });
+        ws.send(JSON.stringify({ type: 'resources/writers', uri: grantUri, writers: existing.writers || [] }));
         break;
       }
 
@@ -378,8 +873,13 @@ wss.on('connection', (ws) => {
           ws.send(JSON.stringify({ type: 'error', message: 'Resource URI is required' }));
           break;
         }
-        if (!resourceSubscriptions.has(subUri)) resourceSubscriptions.set(subUri, new Set());
-        resourceSubscriptions.get(subUri).add(ws);
+        addSubscription(resourceSubscriptions, subUri, ws);
+        if (msg.patches === true) {
+          if (!resourcePatchSubscribers.has(ws)) resourcePatchSubscribers.set(ws, new Map());
+          resourcePatchSubscribers.get(ws).set(subUri, resourceSubscriptions.get(subUri).re);
+        } else {
+          resourcePatchSubscribers.get(ws)?.delete(subUri);
+        }
         log(`"${assignedClientId || 'anonymous'}" subscribed to resource: ${subUri}`);
         addActivity('resource_subscribe', `"${assignedClientId || 'anonymous'}" subscribed to ${subUri}`, { clientId: assignedClientId, uri: subUri });
         ws.send(JSON.stringify({ type: 'resources/subscribed', uri: subUri }));
@@ -388,27 +888,39 @@ wss.on('connection', (ws) => {
 
       case 'resources/unsubscribe': {
         const unsubUri = msg.uri;
-        if (unsubUri && resourceSubscriptions.has(unsubUri)) {
-          resourceSubscriptions.get(unsubUri).delete(ws);
-          if (resourceSubscriptions.get(unsubUri).size === 0) resourceSubscriptions.delete(unsubUri);
-        }
+        if (unsubUri) removeSubscription(resourceSubscriptions, unsubUri, ws);
+        resourcePatchSubscribers.get(ws)?.delete(unsubUri);
         ws.send(JSON.stringify({ type: 'resources/unsubscribed', uri: unsubUri }));
         break;
       }
 
       case 'resources/read': {
         const readUri = msg.uri;
-        const resource = readUri ? resources.get(readUri) : null;
-        if (resource) {
-          ws.send(JSON.stringify({ type: 'resources/content', uri: readUri, content: resource.content, clientId: resource.clientId, updatedAt: resource.updatedAt }));
+        const resource = readUri ? findResourceVersion(readUri, msg.version) : null;
+        if (resource && msg.ifNoneMatch && msg.ifNoneMatch === resource.etag) {
+          ws.send(JSON.stringify({ type: 'resources/not_modified', uri: readUri, version: resource.version, etag: resource.etag }));
+        } else if (resource) {
+          ws.send(JSON.stringify({
+            type: 'resources/content', uri: readUri, content: resource.content, clientId: resource.clientId,
+            updatedAt: resource.updatedAt, version: resource.version, etag: resource.etag, stale: resource.stale || undefined,
+          }));
         } else {
-          ws.send(JSON.stringify({ type: 'resources/content', uri: readUri, content: null, clientId: null, updatedAt: null }));
+          const error = msg.version !== undefined && resources.has(readUri) ? `Version ${msg.version} of ${readUri} is not in history` : undefined;
+          ws.send(JSON.stringify({ type: 'resources/content', uri: readUri, content: null, clientId: null, updatedAt: null, version: null, etag: null, error }));
         }
         break;
       }
 
       case 'resources/list': {
-        const list = [...resources.entries()].map(([uri, r]) => ({ uri, clientId: r.clientId, updatedAt: r.updatedAt }));
+        if (msg.pattern !== undefined && typeof msg.pattern !== 'string') {
+          ws.send(JSON.stringify({ type: 'error', message: 'pattern must be a string' }));
+          break;
+        }
+        const listRe = msg.pattern ? globToRegExp(msg.pattern) : null;
+        const list = [...resources.entries()].filter(([uri]) => !listRe || listRe.test(uri)).map(([uri, r]) => ({
+          uri, clientId: r.clientId, updatedBy: r.updatedBy, writers: r.writers,
+          updatedAt: r.updatedAt, version: r.version, etag: r.etag, stale: r.stale || undefined,
+        }));
         ws.send(JSON.stringify({ type: 'resources/list', resources: list }));
         break;
       }
@@ -453,9 +965,7 @@ wss.on('connection', (ws) => {
         if (evtSubs) {
           const evtMsg = JSON.stringify({ type: 'tool_event', ...toolEvtPayload });
           for (const subWs of evtSubs) {
-            if (subWs.readyState === 1 && subWs !== ws) {
-              try { subWs.send(evtMsg); evtSent++; } catch {}
-            }
+            if (subWs !== ws && sendWithBackpressure(subWs, evtMsg)) evtSent++;
           }
         }
         log(`[TOOL_EVENT] ${assignedClientId}/${evtTool} → ${evtSent}/${evtSubs?.size || 0} subscribers`);
@@ -506,6 +1016,7 @@ wss.on('connection', (ws) => {
         const callId = msg.callId || crypto.randomBytes(8).toString('hex');
         const toolName = msg.tool;
         const toolArgs = msg.arguments || {};
+        const requestedTimeoutMs = msg.timeoutMs;
         if (!toolName) {
           ws.send(JSON.stringify({ type: 'call_tool_result', callId, content: [{ type: 'text', text: 'tool name is required' }], isError: true }));
           break;
@@ -513,8 +1024,9 @@ wss.on('connection', (ws) => {
         (async () => {
           try {
             stats.toolCalls++;
-            addActivity('tool_call', `${assignedClientId} → ${toolName}`, { clientId: assignedClientId, tool: toolName, args: toolArgs });
-            const result = await routeToolCall(toolName, toolArgs, { callerId: assignedClientId });
+            const timeoutMs = describeToolTimeout(toolName, requestedTimeoutMs);
+            addActivity('tool_call', `${assignedClientId} → ${toolName}${timeoutMs ? ` (timeout ${timeoutMs}ms)` : ''}`, { clientId: assignedClientId, tool: toolName, args: toolArgs, timeoutMs });
+            const result = await routeToolCall(toolName, toolArgs, { callerId: assignedClientId, timeoutMs: requestedTimeoutMs });
             addActivity('tool_result', `${toolName} returned`, { clientId: assignedClientId, tool: toolName, isError: result.isError });
             if (result.isError) stats.toolErrors++;
             ws.send(JSON.stringify({ type: 'call_tool_result', callId, content: result.content, isError: result.isError || false }));
@@ -534,34 +1046,431 @@ wss.on('connection', (ws) => {
 
   ws.on('close', () => {
     wsSubscriptions.delete(ws);
+    heldSends.delete(ws);
+    slowConsumers.delete(ws);
     // Clean up resource subscriptions
-    for (const [uri, subs] of resourceSubscriptions) {
-      subs.delete(ws);
-      if (subs.size === 0) resourceSubscriptions.delete(uri);
-    }
+    for (const uri of [...resourceSubscriptions.keys()]) removeSubscription(resourceSubscriptions, uri, ws);
     // Clean up tool event subscriptions
     for (const [tool, subs] of toolEventSubscriptions) {
       subs.delete(ws);
       if (subs.size === 0) toolEventSubscriptions.delete(tool);
     }
-    if (assignedClientId && registry.has(assignedClientId)) {
-      // Clean up resources published by this client
-      for (const [uri, r] of resources) {
-        if (r.clientId === assignedClientId) resources.delete(uri);
-      }
-      registry.delete(assignedClientId);
-      clearClientNotifications(assignedClientId);
-      log(`Broker client "${assignedClientId}" disconnected`);
-      addActivity('disconnect', `"${assignedClientId}" disconnected`, { clientId: assignedClientId });
+    // Calls in flight on this socket can't complete any more
+    failPendingCalls(ws);
+    // A replaced socket no longer owns the registry entry; a pool keeps it while members remain
+    const entry = assignedClientId && registry.get(assignedClientId);
+    const remaining = entry ? removePoolMember(entry, ws) : -1;
+    if (remaining > 0) {
+      log(`Broker client "${assignedClientId}" pool member disconnected (${remaining} remaining)`);
+      addActivity('disconnect', `"${assignedClientId}" pool member disconnected`, { clientId: assignedClientId, poolSize: remaining });
       broadcastState();
+    } else if (remaining === 0) {
+      if (RECONNECT_GRACE_MS > 0) startReconnectGrace(assignedClientId, entry);
+      else removeBrokerClient(assignedClientId, 'disconnected');
     }
   });
 
   ws.on('error', (err) => {
     log(`WebSocket error: ${err.message}`);
+    if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+      // ws closes the socket with 1009 after this
+      stats.oversizedMessages++;
+      addActivity('backpressure', `"${assignedClientId || 'unregistered'}" sent a message over ${WS_MAX_PAYLOAD_BYTES} bytes — connection closed`,
+        { clientId: assignedClientId, maxPayload: WS_MAX_PAYLOAD_BYTES });
+    }
   });
 });
 
+// ─── Offline Call Queue ──────────────────────────────────────────────────────
+
+/**
+ * Calls to tools registered with queueable: true are accepted while their provider
+ * is offline. They wait in a bounded per-client queue (persisted to CALL_QUEUE_FILE)
+ * and are delivered in order when the provider next registers. The caller gets a
+ * ticket id and fetches the outcome with the get_call_result built-in.
+ */
+const queueableTools = new Map(); // clientId → { validateArguments, tools } — queueable tools from its last register
+const callTickets = new Map();    // ticketId → { id, clientId, tool, args, identity, callerId, status, queuedAt, deliveredAt?, completedAt?, result?, error? }
+const queueDeliveries = new Map(); // clientId → promise of its running delivery loop
+
+function loadCallQueue() {
+  if (!CALL_QUEUE_FILE || !fs.existsSync(CALL_QUEUE_FILE)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(CALL_QUEUE_FILE, 'utf8'));
+    for (const [clientId, record] of Object.entries(data.queueableTools || {})) queueableTools.set(clientId, record);
+    for (const ticket of data.tickets || []) {
+      if (ticket.status === 'delivering') {
+        // Never redeliver — the provider may already have run it
+        Object.assign(ticket, { status: 'failed', error: 'Broker restarted during delivery', completedAt: new Date().toISOString() });
+      }
+      callTickets.set(ticket.id, ticket);
+    }
+    log(`Loaded ${callTickets.size} queued call ticket(s) from ${CALL_QUEUE_FILE}`);
+  } catch (err) {
+    log(`Failed to load call queue from ${CALL_QUEUE_FILE}: ${err.message}`);
+  }
+}
+
+function saveCallQueue() {
+  if (!CALL_QUEUE_FILE) return;
+  try {
+    fs.mkdirSync(dirname(CALL_QUEUE_FILE), { recursive: true });
+    const data = { queueableTools: Object.fromEntries(queueableTools), tickets: [...callTickets.values()] };
+    fs.writeFileSync(`${CALL_QUEUE_FILE}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${CALL_QUEUE_FILE}.tmp`, CALL_QUEUE_FILE);
+  } catch (err) {
+    log(`Failed to save call queue: ${err.message}`);
+  }
+}
+
+function rememberQueueableTools(clientId, entry) {
+  const tools = entry.tools.filter(t => t.queueable);
+  if (tools.length) queueableTools.set(clientId, { validateArguments: entry.validateArguments, tools });
+  else if (!queueableTools.delete(clientId)) return;
+  saveCallQueue();
+}
+
+function isQueueableTool(clientId, toolName) {
+  return !!queueableTools.get(clientId)?.tools.some(t => t.name === toolName);
+}
+
+function enqueueToolCall(clientId, toolName, args, identity, callerId) {
+  const queued = [...callTickets.values()].filter(t => t.clientId === clientId && t.status === 'queued').length;
+  if (queued >= CALL_QUEUE_MAX) {
+    return { content: [{ type: 'text', text: `Broker client "${clientId}" is offline and its call queue is full (${CALL_QUEUE_MAX})` }], isError: true };
+  }
+  const ticket = {
+    id: crypto.randomBytes(8).toString('hex'),
+    clientId, tool: toolName, args: args || {}, identity, callerId: callerId || null,
+    status: 'queued',
+    queuedAt: new Date().toISOString(),
+  };
+  callTickets.set(ticket.id, ticket);
+  saveCallQueue();
+  stats.callsQueued++;
+  log(`Queued ${namespacedTool(clientId, toolName)} for offline "${clientId}" (ticket ${ticket.id})`);
+  addActivity('tool_queued', `${namespacedTool(clientId, toolName)} queued for offline "${clientId}"`, { clientId, tool: toolName, ticket: ticket.id });
+  const message = `"${clientId}" is offline — the call will be delivered when it reconnects. Fetch the outcome with get_call_result.`;
+  return { content: [{ type: 'text', text: JSON.stringify({ queued: true, ticket: ticket.id, message }, null, 2) }], isError: false };
+}
+
+/**
+ * Deliver a (re)registered client's queued calls one at a time, oldest first.
+ * A register while a loop runs (re-register, pool join) joins that loop rather
+ * than starting a second one; tickets queued meanwhile are picked up by it.
+ */
+function deliverQueuedCalls(clientId) {
+  if (!queueDeliveries.has(clientId)) {
+    queueDeliveries.set(clientId, drainQueuedCalls(clientId).finally(() => queueDeliveries.delete(clientId)));
+  }
+  return queueDeliveries.get(clientId);
+}
+
+async function drainQueuedCalls(clientId) {
+  for (const ticket of callTickets.values()) {
+    if (ticket.clientId !== clientId || ticket.status !== 'queued') continue;
+    ticket.status = 'delivering';
+    ticket.deliveredAt = new Date().toISOString();
+    saveCallQueue();
+    const name = namespacedTool(clientId, ticket.tool);
+    const start = Date.now();
+    try {
+      ticket.result = await callProviderTool(clientId, ticket.tool, ticket.args, { callerId: ticket.callerId });
+      ticket.status = 'completed';
+    } catch (err) {
+      ticket.status = 'failed';
+      ticket.error = err.message;
+    }
+    ticket.completedAt = new Date().toISOString();
+    saveCallQueue();
+    writeAuditRecord({
+      identity: ticket.identity, callerId: ticket.callerId, name, args: ticket.args,
+      durationMs: Date.now() - start, result: ticket.result, error: ticket.error ? new Error(ticket.error) : undefined,
+    });
+    addActivity('tool_delivered', `Queued ${name} ${ticket.status}`, { clientId, tool: ticket.tool, ticket: ticket.id, status: ticket.status });
+  }
+}
+
+/** Forget finished tickets older than CALL_RESULT_TTL_MS. */
+function sweepCallTickets() {
+  const cutoff = Date.now() - CALL_RESULT_TTL_MS;
+  let removed = 0;
+  for (const [id, ticket] of callTickets) {
+    if (ticket.completedAt && Date.parse(ticket.completedAt) < cutoff) {
+      callTickets.delete(id);
+      removed++;
+    }
+  }
+  if (removed) saveCallQueue();
+}
+
+loadCallQueue();
+setInterval(sweepCallTickets, 60_000).unref();
+
+// ─── Background Jobs ─────────────────────────────────────────────────────────
+
+/**
+ * start_job runs any routed tool in the background (through routeToolCall, so the
+ * tool policy and audit log apply) and returns at once. Jobs keep their status,
+ * latest progress and result; finished ones are forgotten after JOB_TTL_MS.
+ */
+const JOB_TOOLS = ['start_job', 'get_job', 'cancel_job', 'list_jobs'];
+const JOB_PROGRESS_ACTIVITY_MS = 1000;
+const jobs = new Map(); // jobId → { id, tool, args, identity, status, progress, createdAt, finishedAt?, result?, error?, controller }
+
+function toJobView(job, { withResult = true } = {}) {
+  const { id, tool, identity, status, progress, createdAt, finishedAt, result, error } = job;
+  const view = { jobId: id, tool, identity, status, progress, createdAt, finishedAt, error };
+  if (withResult && result) view.result = result;
+  return view;
+}
+
+/**
+ * @param {string} tool — tool to run (built-in or namespaced)
+ * @param {object} args
+ * @param {object} context — { identity, callerId?, timeoutMs? }
+ */
+function startJob(tool, args, { identity, callerId, timeoutMs }) {
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    tool, args, identity,
+    status: 'running',
+    progress: null,
+    createdAt: new Date().toISOString(),
+    controller: new AbortController(),
+  };
+  jobs.set(job.id, job);
+  log(`Job ${job.id} started: ${tool} (${identity})`);
+  addActivity('job_started', `Job ${job.id} started: ${tool}`, { jobId: job.id, tool, identity });
+
+  let lastProgressActivity = 0;
+  const onProgress = (progress) => {
+    job.progress = progress;
+    // Progress can arrive many times a second — keep the activity log readable
+    if (Date.now() - lastProgressActivity < JOB_PROGRESS_ACTIVITY_MS) return;
+    lastProgressActivity = Date.now();
+    const total = progress.total ? `/${progress.total}` : '';
+    addActivity('job_progress', `Job ${job.id} ${tool}: ${progress.progress}${total}${progress.message ? ` — ${progress.message}` : ''}`, { jobId: job.id, tool, progress });
+  };
+
+  routeToolCall(tool, args, { identity, callerId, onProgress, signal: job.controller.signal, timeoutMs })
+    .then(result => finishJob(job, result.isError ? 'failed' : 'completed', { result }))
+    .catch(err => finishJob(job, 'failed', { error: err.message }));
+  return job;
+}
+
+function finishJob(job, status, { result, error }) {
+  if (job.status !== 'running') return; // cancelled meanwhile
+  Object.assign(job, { status, result, error, finishedAt: new Date().toISOString() });
+  log(`Job ${job.id} ${status}: ${job.tool}${error ? ` — ${error}` : ''}`);
+  addActivity(`job_${status}`, `Job ${job.id} ${status}: ${job.tool}`, { jobId: job.id, tool: job.tool, identity: job.identity, error });
+}
+
+/** Cancel a running job; returns false if it already finished. */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.status !== 'running') return false;
+  Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+  job.controller.abort(new Error('Job cancelled'));
+  log(`Job ${job.id} cancelled: ${job.tool}`);
+  addActivity('job_cancelled', `Job ${job.id} cancelled: ${job.tool}`, { jobId: job.id, tool: job.tool, identity: job.identity });
+  return true;
+}
+
+function sweepJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  }
+}
+
+setInterval(sweepJobs, 60_000).unref();
+
+// ─── Reconnect Grace Period ──────────────────────────────────────────────────
+
+/**
+ * Keep a client's tools, resources and notifications for RECONNECT_GRACE_MS after
+ * its last socket closes, so an SDK reconnect doesn't make its tools flicker out of
+ * tools/list. Calls made meanwhile are held (see waitForReconnect) until it registers again.
+ */
+function startReconnectGrace(clientId, entry) {
+  entry.disconnected = true;
+  entry.disconnectedAt = new Date().toISOString();
+  entry.graceEndsAt = Date.now() + RECONNECT_GRACE_MS;
+  entry.queued = 0;
+  entry.graceTimer = setTimeout(() => {
+    if (registry.get(clientId) === entry) removeBrokerClient(clientId, `did not reconnect within ${RECONNECT_GRACE_MS}ms`);
+  }, RECONNECT_GRACE_MS);
+  log(`Broker client "${clientId}" disconnected — keeping its tools for ${RECONNECT_GRACE_MS}ms`);
+  addActivity('disconnect', `"${clientId}" disconnected (grace ${RECONNECT_GRACE_MS}ms)`, { clientId, graceMs: RECONNECT_GRACE_MS });
+  broadcastState();
+}
+
+/** Drop a client and everything it published; held calls fail with reason. */
+function removeBrokerClient(clientId, reason) {
+  for (const [uri, r] of resources) {
+    if (r.clientId !== clientId) continue;
+    resources.delete(uri);
+    resourceHistory.delete(uri);
+  }
+  scheduleStateSave();
+  registry.delete(clientId);
+  clearClientNotifications(clientId);
+  notifyProviderWaiters(clientId, new Error(`Broker client "${clientId}" ${reason}`));
+  log(`Broker client "${clientId}" ${reason}`);
+  addActivity('disconnect', `"${clientId}" ${reason}`, { clientId });
+  broadcastState();
+  scheduleToolListChanged();
+}
+
+/** Hold a call to a client in its grace period until it reconnects (bounded by RECONNECT_QUEUE_MAX). */
+async function waitForReconnect(clientId, entry, signal) {
+  if (entry.queued >= RECONNECT_QUEUE_MAX) {
+    throw new Error(`Broker client "${clientId}" is reconnecting and already has ${entry.queued} call(s) waiting`);
+  }
+  entry.queued++;
+  try {
+    await waitForProvider(clientId, Math.max(entry.graceEndsAt - Date.now(), 0), signal);
+  } finally {
+    entry.queued--;
+  }
+}
+
+// ─── Heartbeat ───────────────────────────────────────────────────────────────
+
+/**
+ * Every HEARTBEAT_INTERVAL_MS each socket is pinged; one that hasn't answered the
+ * previous ping (and sent nothing else) is terminated, so sleeping browser tabs
+ * don't linger in the registry. Pong round-trips give per-client latency.
+ */
+const socketHealth = new Map(); // ws → { alive, pingSentAt, lastSeen, latencyMs }
+
+function trackSocketHealth(ws) {
+  const health = { alive: true, pingSentAt: 0, lastSeen: Date.now(), latencyMs: null };
+  socketHealth.set(ws, health);
+  ws.on('pong', () => {
+    health.alive = true;
+    health.lastSeen = Date.now();
+    if (health.pingSentAt) health.latencyMs = health.lastSeen - health.pingSentAt;
+  });
+  ws.on('message', () => {
+    health.alive = true;
+    health.lastSeen = Date.now();
+  });
+  ws.on('close', () => socketHealth.delete(ws));
+}
+
+function socketHealthView(ws) {
+  const health = socketHealth.get(ws);
+  return {
+    lastSeen: health ? new Date(health.lastSeen).toISOString() : null,
+    latencyMs: health?.latencyMs ?? null,
+  };
+}
+
+function heartbeat() {
+  for (const ws of wss.clients) {
+    const health = socketHealth.get(ws);
+    if (!health) continue;
+    if (!health.alive) {
+      const clientId = clientIdForSocket(ws) || 'unregistered';
+      stats.heartbeatTimeouts++;
+      log(`No pong from "${clientId}" within ${HEARTBEAT_INTERVAL_MS}ms — terminating`);
+      addActivity('heartbeat_timeout', `"${clientId}" missed a heartbeat — connection terminated`, { clientId, lastSeen: new Date(health.lastSeen).toISOString() });
+      ws.terminate();
+      continue;
+    }
+    health.alive = false;
+    health.pingSentAt = Date.now();
+    try { ws.ping(); } catch {}
+  }
+  broadcastState();
+}
+
+if (HEARTBEAT_INTERVAL_MS > 0) setInterval(heartbeat, HEARTBEAT_INTERVAL_MS).unref();
+
+// ─── State Persistence ───────────────────────────────────────────────────────
+
+/**
+ * Resources and notification buffers are snapshotted to a pluggable store
+ * (STATE_STORE — see state-store.js) shortly after they change, and reloaded
+ * at startup. Reloaded resources stay marked stale until their publisher
+ * registers again.
+ */
+let stateStore = null;
+let stateSaveTimer = null;
+let stateSaveInFlight = null;
+
+function scheduleStateSave() {
+  if (!stateStore || stateSaveTimer) return;
+  stateSaveTimer = setTimeout(async () => {
+    stateSaveTimer = null;
+    if (stateSaveInFlight) {
+      // Never run two saves at once — try again once this one lands
+      await stateSaveInFlight;
+      return scheduleStateSave();
+    }
+    await saveBrokerState();
+  }, STATE_SAVE_DEBOUNCE_MS);
+}
+
+async function saveBrokerState() {
+  if (!stateStore) return;
+  stateSaveInFlight = stateStore.save({
+    savedAt: new Date().toISOString(),
+    resources: Object.fromEntries(resources),
+    resourceHistory: Object.fromEntries(resourceHistory),
+    clientNotifications: Object.fromEntries(clientNotifications),
+    globalNotifications,
+  }).catch(err => log(`Failed to save broker state: ${err.message}`));
+  await stateSaveInFlight;
+  stateSaveInFlight = null;
+}
+
+async function loadBrokerState() {
+  stateStore = await createStateStore(STATE_STORE, { file: STATE_FILE });
+  try {
+    restoreBrokerState(await stateStore.load());
+  } catch (err) {
+    // A bad snapshot must not keep the broker from starting (restart: always would crash-loop)
+    resources.clear();
+    resourceHistory.clear();
+    clientNotifications.clear();
+    globalNotifications.length = 0;
+    const movedTo = await stateStore.quarantine?.().catch(() => null);
+    log(`Warning: could not restore broker state (${err.message}) — starting empty${movedTo ? `; snapshot moved to ${movedTo}` : ''}`);
+  }
+}
+
+function restoreBrokerState(snapshot) {
+  if (!snapshot) return;
+  let restored = 0;
+  for (const [uri, r] of Object.entries(snapshot.resources || {})) {
+    if (!r || typeof r !== 'object') throw new Error(`resource ${uri} is malformed`);
+    // Snapshots from before versioning carry no version — start them at 1
+    const version = r.version || 1;
+    resources.set(uri, { ...r, version, etag: r.etag || resourceEtag(version, r.content), stale: true });
+    restored++;
+  }
+  for (const [uri, history] of Object.entries(snapshot.resourceHistory || {})) {
+    if (resources.has(uri)) resourceHistory.set(uri, history.slice(-RESOURCE_HISTORY_MAX));
+  }
+  for (const [clientId, buf] of Object.entries(snapshot.clientNotifications || {})) {
+    clientNotifications.set(clientId, buf.slice(-NOTIFICATION_MAX_PER_CLIENT));
+  }
+  globalNotifications.push(...(snapshot.globalNotifications || []).slice(-NOTIFICATION_MAX_GLOBAL));
+  log(`Restored ${restored} resource(s) and ${globalNotifications.length} notification(s) from the ${STATE_STORE} store (saved ${snapshot.savedAt})`);
+}
+
+/** A publisher is back: resources restored from the snapshot are live again. */
+function refreshStaleResources(clientId) {
+  for (const [uri, r] of resources) {
+    if (r.clientId !== clientId || !r.stale) continue;
+    delete r.stale;
+    notifyMcpResourceUpdated(uri);
+  }
+}
+
 // ─── Chat Proxy (Ollama MCP Server) ──────────────────────────────────────────
 
 async function proxyChat(ws, requestId, payload) {
@@ -712,34 +1621,574 @@ async function explainYourself(clientId, entry, depth) {
   };
 }
 
-// ─── Tool Call Router ────────────────────────────────────────────────────────
+// ─── Tool Access Policy ──────────────────────────────────────────────────────
 
 /**
- * Route a tool call: check built-in tools first, then namespaced client tools.
- * Used by both MCP HTTP and WebSocket call_tool paths.
- * @param {string} name — tool name
- * @param {object} args — tool arguments
- * @param {object} [context] — optional context (callerId, etc.)
+ * Tool ACL loaded from TOOL_POLICY_FILE at startup:
+ *   {
+ *     "default": "deny",
+ *     "rules": [
+ *       { "callers": ["api:claude"], "tools": ["*"], "effect": "allow" },
+ *       { "callers": ["client:poker-*"], "tools": ["kokoro-tts__*", "speak*"], "effect": "allow" }
+ *     ]
+ *   }
+ * Caller identities: "api:<key name>" (HTTP API keys), "client:<clientId>"
+ * (broker-clients using call_tool), "anonymous" (unauthenticated HTTP).
+ * The first rule whose callers and tools both match decides; otherwise the default
+ * ("deny" unless set). Without a policy file every call is allowed.
  */
-async function routeToolCall(name, args, context = {}) {
-  // Built-in: list_broker_clients
-  if (name === 'list_broker_clients') {
-    const clients = [];
-    for (const [clientId, entry] of registry) {
-      clients.push({ clientId, tools: entry.tools.map(t => t.name), access: (entry.access || []).map(c => c.name) });
+function loadToolPolicy() {
+  if (!TOOL_POLICY_FILE) return null;
+  const parsed = JSON.parse(fs.readFileSync(TOOL_POLICY_FILE, 'utf8'));
+  const rules = (parsed.rules || []).map((r, i) => {
+    if (!Array.isArray(r.callers) || !Array.isArray(r.tools) || !['allow', 'deny'].includes(r.effect)) {
+      throw new Error(`${TOOL_POLICY_FILE}: rule ${i} needs callers[], tools[] and effect "allow" or "deny"`);
     }
-    return { content: [{ type: 'text', text: JSON.stringify(clients, null, 2) }], isError: false };
-  }
+    return { callers: r.callers.map(globToRegExp), tools: r.tools.map(globToRegExp), effect: r.effect };
+  });
+  const defaultEffect = parsed.default === 'allow' ? 'allow' : 'deny';
+  log(`Loaded tool policy from ${TOOL_POLICY_FILE}: ${rules.length} rule(s), default ${defaultEffect}`);
+  return { rules, defaultEffect };
+}
 
-  // Built-in: get_notifications
-  if (name === 'get_notifications') {
-    const results = getNotifications(args?.clientId, args?.limit);
-    return { content: [{ type: 'text', text: JSON.stringify(results, null, 2) }], isError: false };
-  }
+const toolPolicy = loadToolPolicy();
 
-  // Built-in: get_caller_access — check what access capabilities a client has registered
-  if (name === 'get_caller_access') {
-    const targetId = args?.clientId;
+function isToolAllowed(identity, toolName) {
+  if (!toolPolicy) return true;
+  const rule = toolPolicy.rules.find(r =>
+    r.callers.some(re => re.test(identity)) && r.tools.some(re => re.test(toolName)));
+  return (rule ? rule.effect : toolPolicy.defaultEffect) === 'allow';
+}
+
+/**
+ * Policy check for a built-in that calls a provider tool directly, so a rule
+ * on "<clientId>__<tool>" binds however the tool is reached.
+ * Returns null when allowed, or the isError result to hand back when denied.
+ */
+function deniedProviderCall(identity, context, toolName) {
+  if (isToolAllowed(identity, toolName)) return null;
+  stats.toolDenied++;
+  log(`Denied ${identity} → ${toolName} (tool policy)`);
+  addActivity('tool_denied', `${identity} denied ${toolName}`, { clientId: context.callerId, identity, tool: toolName });
+  return { content: [{ type: 'text', text: `Access denied: "${identity}" may not call "${toolName}"` }], isError: true };
+}
+
+// ─── Rate Limits ─────────────────────────────────────────────────────────────
+
+/**
+ * Optional limits from RATE_LIMITS_FILE. Each table maps an exact id or a glob to a number:
+ *   maxConcurrentPerProvider — routed calls in flight per target broker-client
+ *   callsPerMinutePerCaller  — per caller identity (api:<name>, client:<id>, anonymous)
+ *   callsPerMinutePerTool    — per tool name, across all callers
+ * An exact key wins over globs; otherwise the first matching glob applies.
+ */
+const RATE_WINDOW_MS = 60_000;
+
+function loadRateLimits() {
+  if (!RATE_LIMITS_FILE) return null;
+  const parsed = JSON.parse(fs.readFileSync(RATE_LIMITS_FILE, 'utf8'));
+  const table = (name) => Object.entries(parsed[name] || {}).map(([key, limit]) => {
+    if (!isPositiveNumber(limit)) throw new Error(`${RATE_LIMITS_FILE}: ${name}["${key}"] must be a positive number`);
+    return { key, re: globToRegExp(key), limit };
+  });
+  const limits = {
+    provider: table('maxConcurrentPerProvider'),
+    caller: table('callsPerMinutePerCaller'),
+    tool: table('callsPerMinutePerTool'),
+  };
+  log(`Loaded rate limits from ${RATE_LIMITS_FILE}: ${limits.provider.length} provider, ${limits.caller.length} caller, ${limits.tool.length} tool limit(s)`);
+  return limits;
+}
+
+const rateLimits = loadRateLimits();
+const callerCallTimes = new Map();  // identity → call timestamps within the window
+const toolCallTimes = new Map();    // tool name → call timestamps within the window
+const providerInFlight = new Map(); // clientId → routed calls in flight
+
+function limitFor(table, value) {
+  return (table.find(e => e.key === value) || table.find(e => e.re.test(value)))?.limit;
+}
+
+/** Trim key's sliding window; returns ms until a slot frees up, or 0 if there is room. */
+function windowWaitMs(windows, key, limit) {
+  const now = Date.now();
+  const times = (windows.get(key) || []).filter(t => t > now - RATE_WINDOW_MS);
+  if (times.length) windows.set(key, times);
+  else windows.delete(key);
+  return times.length >= limit ? times[0] + RATE_WINDOW_MS - now : 0;
+}
+
+function recordCall(windows, key, now) {
+  if (!windows.has(key)) windows.set(key, []);
+  windows.get(key).push(now);
+}
+
+/** Drop windows nobody has called into for a full minute. */
+function sweepRateWindows() {
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  for (const windows of [callerCallTimes, toolCallTimes]) {
+    for (const [key, times] of windows) {
+      if (times[times.length - 1] <= cutoff) windows.delete(key);
+    }
+  }
+}
+setInterval(sweepRateWindows, RATE_WINDOW_MS).unref();
+
+/** Only names that can actually be routed get a per-tool window — bogus ones would pile up. */
+function isRoutableToolName(name) {
+  if (BUILTIN_TOOLS.some(b => b.name === name)) return true;
+  const parsed = parseNamespacedTool(name);
+  if (!parsed) return false;
+  return !!registry.get(parsed.clientId)?.tools.some(t => t.name === parsed.toolName)
+    || isQueueableTool(parsed.clientId, parsed.toolName);
+}
+
+/**
+ * Check every limit that applies to a call and, if none is exceeded, reserve it.
+ * Returns { release } (call when the call finishes) or { error } naming the exceeded limit.
+ */
+function acquireRateLimit(identity, name, targetClientId) {
+  const none = { release: () => {} };
+  if (!rateLimits) return none;
+
+  const providerLimit = targetClientId && limitFor(rateLimits.provider, targetClientId);
+  if (providerLimit && (providerInFlight.get(targetClientId) || 0) >= providerLimit) {
+    return { error: `"${targetClientId}" already has ${providerLimit} call(s) in flight` };
+  }
+  const callerLimit = limitFor(rateLimits.caller, identity);
+  const callerWait = callerLimit ? windowWaitMs(callerCallTimes, identity, callerLimit) : 0;
+  if (callerWait) {
+    return { error: `"${identity}" exceeded ${callerLimit} calls/minute — retry in ${Math.ceil(callerWait / 1000)}s` };
+  }
+  const toolLimit = isRoutableToolName(name) && limitFor(rateLimits.tool, name);
+  const toolWait = toolLimit ? windowWaitMs(toolCallTimes, name, toolLimit) : 0;
+  if (toolWait) {
+    return { error: `"${name}" exceeded its quota of ${toolLimit} calls/minute — retry in ${Math.ceil(toolWait / 1000)}s` };
+  }
+
+  const now = Date.now();
+  if (callerLimit) recordCall(callerCallTimes, identity, now);
+  if (toolLimit) recordCall(toolCallTimes, name, now);
+  if (!providerLimit) return none;
+  providerInFlight.set(targetClientId, (providerInFlight.get(targetClientId) || 0) + 1);
+  let released = false;
+  return {
+    release: () => {
+      if (released) return;
+      released = true;
+      const left = providerInFlight.get(targetClientId) - 1;
+      if (left > 0) providerInFlight.set(targetClientId, left);
+      else providerInFlight.delete(targetClientId);
+    },
+  };
+}
+
+// ─── Resource Ownership ──────────────────────────────────────────────────────
+
+/**
+ * Optional ownership rules from RESOURCE_POLICY_FILE:
+ *   {
+ *     "schemeOwnership": true,
+ *     "owners": { "poker://*": "poker" },
+ *     "writers": { "poker://table/*": ["dealer"] }
+ *   }
+ * schemeOwnership — a "<clientId>://…" URI belongs to that client while it is registered.
+ * owners — URI globs reserved for a client, checked before schemeOwnership.
+ * writers — URI globs other clients may update ("*" for anyone).
+ * Any other URI belongs to whoever publishes it first. Owners can also grant
+ * writers at runtime with resources/grant.
+ */
+function loadResourcePolicy() {
+  if (!RESOURCE_POLICY_FILE) return null;
+  const parsed = JSON.parse(fs.readFileSync(RESOURCE_POLICY_FILE, 'utf8'));
+  const owners = Object.entries(parsed.owners || {}).map(([pattern, clientId]) => {
+    if (typeof clientId !== 'string') throw new Error(`${RESOURCE_POLICY_FILE}: owners["${pattern}"] must be a clientId`);
+    return { re: globToRegExp(pattern), clientId };
+  });
+  const writers = Object.entries(parsed.writers || {}).map(([pattern, clientIds]) => {
+    if (!Array.isArray(clientIds)) throw new Error(`${RESOURCE_POLICY_FILE}: writers["${pattern}"] must be an array of clientIds`);
+    return { re: globToRegExp(pattern), clientIds };
+  });
+  log(`Loaded resource policy from ${RESOURCE_POLICY_FILE}: ${owners.length} owner rule(s), ${writers.length} writer rule(s)${parsed.schemeOwnership ? ', scheme ownership' : ''}`);
+  return { schemeOwnership: parsed.schemeOwnership === true, owners, writers };
+}
+
+const resourcePolicy = loadResourcePolicy();
+
+/** Who owns uri: a configured owner, else the current publisher (null if nobody yet). */
+function resourceOwnerFor(uri, existing) {
+  const configured = resourcePolicy?.owners.find(o => o.re.test(uri));
+  if (configured) return configured.clientId;
+  const scheme = uri.match(/^([^:/]+):\/\//)?.[1];
+  if (resourcePolicy?.schemeOwnership && scheme && registry.has(scheme)) return scheme;
+  return existing?.clientId || null;
+}
+
+function canWriteResource(clientId, uri, existing) {
+  const owner = resourceOwnerFor(uri, existing);
+  if (!owner || owner === clientId) return true;
+  const granted = (ids) => ids.includes(clientId) || ids.includes('*');
+  if (existing?.writers && granted(existing.writers)) return true;
+  return !!resourcePolicy?.writers.some(w => w.re.test(uri) && granted(w.clientIds));
+}
+
+/** Remove a resource and its history, telling subscribers (except skipWs) it is gone. */
+function deleteResource(uri, skipWs) {
+  resources.delete(uri);
+  resourceHistory.delete(uri);
+  scheduleStateSave();
+  const notification = JSON.stringify({ type: 'notifications/resources/deleted', uri });
+  for (const subWs of matchingSubscribers(resourceSubscriptions, uri)) {
+    if (subWs !== skipWs) sendWithBackpressure(subWs, notification, `resource:${uri}`);
+  }
+  // MCP has no deletion notice — subscribers see the update and get "not found" on read
+  notifyMcpResourceUpdated(uri);
+}
+
+// ─── Audit Log ───────────────────────────────────────────────────────────────
+
+/**
+ * Append-only JSONL audit log of routed tool calls (AUDIT_LOG_FILE, '' disables).
+ * Rotated by size: audit.jsonl → audit.jsonl.1 → … → audit.jsonl.<AUDIT_LOG_MAX_FILES>.
+ * Record: { time, caller, callerId, clientId, tool, argsHash | args, durationMs, isError, resultBytes, denied?, rateLimited?, error? }
+ */
+let auditStream = null;
+let auditBytes = 0;
+
+function openAuditLog() {
+  if (!AUDIT_LOG_FILE) return;
+  fs.mkdirSync(dirname(AUDIT_LOG_FILE), { recursive: true });
+  auditBytes = fs.existsSync(AUDIT_LOG_FILE) ? fs.statSync(AUDIT_LOG_FILE).size : 0;
+  auditStream = fs.createWriteStream(AUDIT_LOG_FILE, { flags: 'a' });
+  auditStream.on('error', err => log(`Audit log write failed: ${err.message}`));
+}
+
+function rotateAuditLog() {
+  auditStream.end();
+  for (let i = AUDIT_LOG_MAX_FILES - 1; i >= 1; i--) {
+    const from = `${AUDIT_LOG_FILE}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${AUDIT_LOG_FILE}.${i + 1}`);
+  }
+  if (AUDIT_LOG_MAX_FILES >= 1) fs.renameSync(AUDIT_LOG_FILE, `${AUDIT_LOG_FILE}.1`);
+  else fs.unlinkSync(AUDIT_LOG_FILE);
+  auditBytes = 0;
+  auditStream = fs.createWriteStream(AUDIT_LOG_FILE, { flags: 'a' });
+  auditStream.on('error', err => log(`Audit log write failed: ${err.message}`));
+}
+
+const REDACTED_KEY = /pass|secret|token|key|auth|cookie/i;
+
+/** Copy of args with secret-looking keys masked and long strings truncated. */
+function redactArgs(value, key = '') {
+  if (key && REDACTED_KEY.test(key)) return '[REDACTED]';
+  if (typeof value === 'string') return value.length > 200 ? `${value.slice(0, 200)}…(${value.length} chars)` : value;
+  if (Array.isArray(value)) return value.map(v => redactArgs(v));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]));
+  }
+  return value;
+}
+
+/** Target broker-client of a routed call (null for built-ins that don't target one). */
+function routedTargetClientId(name, args) {
+  if (name === 'request_access' || name === 'explain_yourself') return args?.clientId || null;
+  if (BUILTIN_TOOLS.some(b => b.name === name)) return null;
+  return parseNamespacedTool(name)?.clientId || null;
+}
+
+function writeAuditRecord({ identity, callerId, name, args, durationMs, result, error, denied, rateLimited }) {
+  if (!auditStream) return;
+  const record = {
+    time: new Date().toISOString(),
+    caller: identity,
+    callerId: callerId || null,
+    clientId: routedTargetClientId(name, args),
+    tool: name,
+  };
+  if (AUDIT_LOG_ARGS === 'redact') record.args = redactArgs(args || {});
+  else record.argsHash = crypto.createHash('sha256').update(JSON.stringify(args || {})).digest('hex');
+  record.durationMs = durationMs;
+  record.isError = error ? true : !!result?.isError;
+  record.resultBytes = result ? Buffer.byteLength(JSON.stringify(result.content || [])) : 0;
+  if (denied) record.denied = true;
+  if (rateLimited) record.rateLimited = true;
+  if (error) record.error = error.message;
+
+  const line = `${JSON.stringify(record)}\n`;
+  const lineBytes = Buffer.byteLength(line);
+  try {
+    if (auditBytes > 0 && auditBytes + lineBytes > AUDIT_LOG_MAX_BYTES) rotateAuditLog();
+  } catch (err) {
+    log(`Audit log rotation failed: ${err.message}`);
+  }
+  auditStream.write(line);
+  auditBytes += lineBytes;
+}
+
+/** Yield a file's lines last-to-first, reading 64 KiB at a time from the end. */
+async function* readLinesBackward(file, chunkSize = 64 * 1024) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch {
+    return;
+  }
+  try {
+    let position = (await handle.stat()).size;
+    let rest = Buffer.alloc(0); // start of a line whose beginning is in an earlier chunk
+    while (position > 0) {
+      const size = Math.min(chunkSize, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+      // Split on bytes, not characters, so multi-byte UTF-8 is never cut in half
+      const buf = Buffer.concat([chunk, rest]);
+      let end = buf.length;
+      for (let i = buf.length - 1; i >= 0; i--) {
+        if (buf[i] !== 0x0a) continue;
+        if (end > i + 1) yield buf.toString('utf8', i + 1, end);
+        end = i;
+      }
+      rest = buf.subarray(0, end);
+    }
+    if (rest.length) yield rest.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read audit records matching the filters, newest first.
+ * @param {object} filters — { from?, to? (Date), clientId?, caller?, tool?, limit }
+ */
+async function queryAuditLog({ from, to, clientId, caller, tool, limit }) {
+  const matches = [];
+  const files = [AUDIT_LOG_FILE];
+  for (let i = 1; i <= AUDIT_LOG_MAX_FILES; i++) files.push(`${AUDIT_LOG_FILE}.${i}`);
+  for (const file of files) {
+    for await (const line of readLinesBackward(file)) {
+      let record;
+      try { record = JSON.parse(line); } catch { continue; }
+      const time = new Date(record.time);
+      if (to && time > to) continue;
+      if (from && time < from) return matches; // files and lines are chronological
+      if (clientId && record.clientId !== clientId) continue;
+      if (caller && record.caller !== caller) continue;
+      if (tool && record.tool !== tool) continue;
+      matches.push(record);
+      if (matches.length >= limit) return matches;
+    }
+  }
+  return matches;
+}
+
+openAuditLog();
+
+// ─── Access Approval Gate ────────────────────────────────────────────────────
+
+/**
+ * Pending request_access calls awaiting a human decision (ACCESS_APPROVAL_REQUIRED=true).
+ * Map of approvalId → { id, identity, callerId, clientId, capability, arguments, requestedAt, expiresAt, resolve, timer }
+ */
+const pendingApprovals = new Map();
+/** "Always allow" grants: `${identity}|${clientId}|${capability}` */
+const approvalGrants = new Set();
+
+function approvalGrantKey(identity, clientId, capability) {
+  return `${identity}|${clientId}|${capability}`;
+}
+
+/**
+ * "anonymous" covers every unauthenticated HTTP caller, so a standing grant for it
+ * would admit everyone — such requests can only be approved one at a time.
+ */
+function canGrantAlways(identity) {
+  return identity !== 'anonymous';
+}
+
+function listPendingApprovals() {
+  return [...pendingApprovals.values()].map(({ resolve, timer, ...a }) => ({ ...a, canAlwaysAllow: canGrantAlways(a.identity) }));
+}
+
+/**
+ * Hold a request_access call until it is approved, denied or times out.
+ * Resolves to 'approved', 'denied' or 'timeout'.
+ */
+function awaitAccessApproval({ identity, callerId, clientId, capability, args, signal }) {
+  if (!ACCESS_APPROVAL_REQUIRED || approvalGrants.has(approvalGrantKey(identity, clientId, capability))) {
+    return Promise.resolve('approved');
+  }
+  if (signal?.aborted) return Promise.resolve('cancelled');
+  return new Promise((resolve) => {
+    const id = crypto.randomBytes(6).toString('hex');
+    const finish = (decision) => {
+      if (!pendingApprovals.delete(id)) return;
+      clearTimeout(approval.timer);
+      signal?.removeEventListener('abort', onAbort);
+      broadcastState();
+      resolve(decision);
+    };
+    const onAbort = () => finish('cancelled');
+    const approval = {
+      id, identity, callerId, clientId, capability, arguments: args,
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ACCESS_APPROVAL_TIMEOUT_MS).toISOString(),
+      resolve: finish,
+      timer: setTimeout(() => {
+        addActivity('approval_timeout', `${identity} → ${clientId}/${capability} was not approved in time`, { clientId, identity, capability, approvalId: id });
+        finish('timeout');
+      }, ACCESS_APPROVAL_TIMEOUT_MS),
+    };
+    pendingApprovals.set(id, approval);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    log(`Approval ${id}: ${identity} requests "${capability}" on "${clientId}"`);
+    addActivity('approval_request', `${identity} requests "${capability}" on "${clientId}" — awaiting approval`, { clientId, identity, capability, approvalId: id });
+    broadcastState();
+  });
+}
+
+/**
+ * Record a decision for a pending approval.
+ * @param {string} id
+ * @param {'approve'|'deny'} decision
+ * @param {boolean} [always] — with approve, skip the gate for this caller/client/capability from now on
+ * @returns {boolean} false when no such approval is pending
+ */
+function decideAccessApproval(id, decision, always = false) {
+  const approval = pendingApprovals.get(id);
+  if (!approval) return false;
+  const { identity, clientId, capability } = approval;
+  if (always && !canGrantAlways(identity)) {
+    log(`Approval ${id}: "always" ignored for anonymous callers — approving once`);
+    always = false;
+  }
+  if (decision === 'approve' && always) approvalGrants.add(approvalGrantKey(identity, clientId, capability));
+  addActivity(decision === 'approve' ? 'approval_granted' : 'approval_denied',
+    `${identity} → ${clientId}/${capability} ${decision === 'approve' ? (always ? 'approved (always)' : 'approved') : 'denied'}`,
+    { clientId, identity, capability, approvalId: id });
+  approval.resolve(decision === 'approve' ? 'approved' : 'denied');
+  return true;
+}
+
+// ─── Tool Call Router ────────────────────────────────────────────────────────
+
+/**
+ * Route a tool call: enforce the tool policy, dispatch it, and write an audit record.
+ * Used by the MCP HTTP, dashboard and WebSocket call_tool paths.
+ * @param {string} name — tool name
+ * @param {object} args — tool arguments
+ * @param {object} [context] — optional context (identity for the tool policy;
+ *   callerId, onProgress, signal, timeoutMs — see callProviderTool)
+ */
+async function routeToolCall(name, args, context = {}) {
+  const identity = context.identity || (context.callerId ? `client:${context.callerId}` : 'anonymous');
+  const start = Date.now();
+  const audit = (fields) => writeAuditRecord({ identity, callerId: context.callerId, name, args, durationMs: Date.now() - start, ...fields });
+
+  if (!isToolAllowed(identity, name)) {
+    stats.toolDenied++;
+    log(`Denied ${identity} → ${name} (tool policy)`);
+    addActivity('tool_denied', `${identity} denied ${name}`, { clientId: context.callerId, identity, tool: name });
+    const result = { content: [{ type: 'text', text: `Access denied: "${identity}" may not call "${name}"` }], isError: true };
+    audit({ result, denied: true });
+    return result;
+  }
+
+  const limit = acquireRateLimit(identity, name, routedTargetClientId(name, args));
+  if (limit.error) {
+    stats.rateLimited++;
+    log(`Rate limited ${identity} → ${name}: ${limit.error}`);
+    addActivity('rate_limited', `${identity} rate limited on ${name}`, { clientId: context.callerId, identity, tool: name, reason: limit.error });
+    const result = { content: [{ type: 'text', text: `Rate limit exceeded: ${limit.error}` }], isError: true };
+    audit({ result, rateLimited: true });
+    return result;
+  }
+
+  try {
+    const result = await dispatchToolCall(name, args, context, identity);
+    audit({ result });
+    return result;
+  } catch (err) {
+    audit({ error: err });
+    throw err;
+  } finally {
+    limit.release();
+  }
+}
+
+/**
+ * Dispatch a tool call: check built-in tools first, then namespaced client tools.
+ */
+async function dispatchToolCall(name, args, context, identity) {
+  // Built-in: list_broker_clients
+  if (name === 'list_broker_clients') {
+    const clients = [];
+    for (const [clientId, entry] of registry) {
+      clients.push({
+        clientId,
+        tools: entry.tools.map(t => t.name),
+        access: (entry.access || []).map(c => c.name),
+        ...(entry.disconnected ? { disconnected: true } : {}),
+      });
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(clients, null, 2) }], isError: false };
+  }
+
+  // Built-in: get_call_result — outcome of a call queued for an offline provider
+  if (name === 'get_call_result') {
+    const ticket = callTickets.get(args?.ticket);
+    if (!ticket || ticket.identity !== identity) {
+      return { content: [{ type: 'text', text: `Unknown ticket: ${args?.ticket}` }], isError: true };
+    }
+    if (ticket.status === 'completed') return ticket.result;
+    if (ticket.status === 'failed') {
+      return { content: [{ type: 'text', text: `Queued call ${ticket.id} failed: ${ticket.error}` }], isError: true };
+    }
+    const { id, clientId, tool, status, queuedAt, deliveredAt } = ticket;
+    return { content: [{ type: 'text', text: JSON.stringify({ ticket: id, clientId, tool, status, queuedAt, deliveredAt }, null, 2) }], isError: false };
+  }
+
+  // Built-in: start_job / get_job / cancel_job / list_jobs — background tool calls
+  if (name === 'start_job') {
+    if (!args?.tool || typeof args.tool !== 'string') {
+      return { content: [{ type: 'text', text: 'tool string is required' }], isError: true };
+    }
+    if (JOB_TOOLS.includes(args.tool)) {
+      return { content: [{ type: 'text', text: `"${args.tool}" cannot run as a job` }], isError: true };
+    }
+    const running = [...jobs.values()].filter(j => j.status === 'running').length;
+    if (running >= JOBS_MAX_RUNNING) {
+      return { content: [{ type: 'text', text: `Too many running jobs (${JOBS_MAX_RUNNING}) — try again later` }], isError: true };
+    }
+    const job = startJob(args.tool, args.arguments || {}, { identity, callerId: context.callerId, timeoutMs: args.timeoutMs });
+    return { content: [{ type: 'text', text: JSON.stringify(toJobView(job), null, 2) }], isError: false };
+  }
+  if (name === 'get_job' || name === 'cancel_job') {
+    const job = jobs.get(args?.jobId);
+    if (!job || job.identity !== identity) {
+      return { content: [{ type: 'text', text: `Unknown job: ${args?.jobId}` }], isError: true };
+    }
+    if (name === 'cancel_job' && !cancelJob(job.id)) {
+      return { content: [{ type: 'text', text: `Job ${job.id} already ${job.status}` }], isError: true };
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(toJobView(job), null, 2) }], isError: false };
+  }
+  if (name === 'list_jobs') {
+    const list = [...jobs.values()]
+      .filter(j => j.identity === identity && (!args?.status || j.status === args.status))
+      .map(j => toJobView(j, { withResult: false }));
+    return { content: [{ type: 'text', text: JSON.stringify(list, null, 2) }], isError: false };
+  }
+
+  // Built-in: get_notifications
+  if (name === 'get_notifications') {
+    const results = getNotifications(args?.clientId, args?.limit);
+    return { content: [{ type: 'text', text: JSON.stringify(results, null, 2) }], isError: false };
+  }
+
+  // Built-in: get_caller_access — check what access capabilities a client has registered
+  if (name === 'get_caller_access') {
+    const targetId = args?.clientId;
     if (!targetId || typeof targetId !== 'string') {
       return { content: [{ type: 'text', text: 'clientId string is required' }], isError: true };
     }
@@ -771,9 +2220,21 @@ async function routeToolCall(name, args, context = {}) {
     if (!cap) {
       return { content: [{ type: 'text', text: `Client "${targetId}" has not registered "${capability}" access` }], isError: true };
     }
+    // The policy sees each capability as its own tool, so rules can target a client or capability
+    const denied = deniedProviderCall(identity, context, `${targetId}__access_${capability}`);
+    if (denied) return denied;
+    const decision = await awaitAccessApproval({
+      identity, callerId: context.callerId, clientId: targetId, capability, args: capabilityArgs, signal: context.signal,
+    });
+    if (decision !== 'approved') {
+      const reason = decision === 'timeout'
+        ? `was not approved within ${ACCESS_APPROVAL_TIMEOUT_MS}ms`
+        : decision === 'cancelled' ? 'was cancelled while awaiting approval' : 'was denied';
+      return { content: [{ type: 'text', text: `Access request for "${capability}" on "${targetId}" ${reason}` }], isError: true };
+    }
     // Route as a tool_call to the client — the access capability name prefixed with __access_
     try {
-      const result = await callProviderTool(targetId, `__access_${capability}`, capabilityArgs, { callerId: context.callerId });
+      const result = await callProviderTool(targetId, `__access_${capability}`, capabilityArgs, context);
       return result;
     } catch (err) {
       return { content: [{ type: 'text', text: `Access call failed: ${err.message}` }], isError: true };
@@ -782,6 +2243,8 @@ async function routeToolCall(name, args, context = {}) {
 
   // Built-in: speak (via kokoro-tts broker-client WebSocket)
   if (name === 'speak') {
+    const denied = deniedProviderCall(identity, context, 'kokoro-tts__speak');
+    if (denied) return denied;
     try {
       return await callProviderTool('kokoro-tts', 'speak', args);
     } catch (err) {
@@ -795,6 +2258,8 @@ async function routeToolCall(name, args, context = {}) {
     if (!action || typeof action !== 'string') {
       return { content: [{ type: 'text', text: 'action string is required' }], isError: true };
     }
+    const denied = deniedProviderCall(identity, context, 'kokoro-tts__speak');
+    if (denied) return denied;
     let spokenText = action;
     try {
       const text = await ollamaGenerate(action, {
@@ -806,7 +2271,9 @@ async function routeToolCall(name, args, context = {}) {
       log(`speak_action Ollama rephrase failed: ${err.message}, using raw action`);
     }
     try {
-      return await callProviderTool('kokoro-tts', 'speak', { text: spokenText });
+      // The rephrased phrase rides along in _meta for /api/speak-action
+      const result = await callProviderTool('kokoro-tts', 'speak', { text: spokenText });
+      return { ...result, _meta: { ...result._meta, spoken: spokenText } };
     } catch (err) {
       return { content: [{ type: 'text', text: `speak failed: ${err.message}` }], isError: true };
     }
@@ -823,10 +2290,13 @@ async function routeToolCall(name, args, context = {}) {
       return { content: [{ type: 'text', text: `Client "${clientId}" is not connected` }], isError: true };
     }
     const depth = Math.min(Math.max(args?.depth || 2, 1), 5);
+    // Depth 2+ runs generated code through the target's introspect tool
+    const denied = depth >= 2 && deniedProviderCall(identity, context, `${clientId}__introspect`);
+    if (denied) return denied;
 
     try {
       const result = await explainYourself(clientId, entry, depth);
-      if (args?.speak && result.identity) {
+      if (args?.speak && result.identity && !deniedProviderCall(identity, context, 'kokoro-tts__speak')) {
         try {
           await callProviderTool('kokoro-tts', 'speak', { text: result.identity });
         } catch (speakErr) {
@@ -855,6 +2325,8 @@ async function routeToolCall(name, args, context = {}) {
         const agentId = tier === 'AI+' ? 'copilot-agent-plus' : 'copilot-agent';
         const entry = registry.get(agentId);
         if (entry) {
+          const denied = deniedProviderCall(identity, context, `${agentId}__ask`);
+          if (denied) return denied;
           log(`ask_ai tier=${tier}: routing to ${agentId}`);
           const result = await callProviderTool(agentId, 'ask', { prompt: fullPrompt, context: args?.context });
           text = result?.content?.[0]?.text || JSON.stringify(result);
@@ -863,6 +2335,8 @@ async function routeToolCall(name, args, context = {}) {
           const fallbackId = tier === 'AI+' ? 'copilot-agent' : null;
           const fallbackEntry = fallbackId && registry.get(fallbackId);
           if (fallbackEntry) {
+            const denied = deniedProviderCall(identity, context, `${fallbackId}__ask`);
+            if (denied) return denied;
             log(`ask_ai tier=${tier}: ${agentId} not connected, falling back to ${fallbackId}`);
             const result = await callProviderTool(fallbackId, 'ask', { prompt: fullPrompt, context: args?.context });
             text = result?.content?.[0]?.text || JSON.stringify(result);
@@ -875,7 +2349,7 @@ async function routeToolCall(name, args, context = {}) {
         // AI- (default): direct to Ollama
         text = await ollamaGenerate(fullPrompt, { model: args?.model || DEFAULT_MODEL });
       }
-      if (args?.speak && text) {
+      if (args?.speak && text && !deniedProviderCall(identity, context, 'kokoro-tts__speak')) {
         try {
           await callProviderTool('kokoro-tts', 'speak', { text });
         } catch (speakErr) {
@@ -901,13 +2375,15 @@ async function routeToolCall(name, args, context = {}) {
       log(`ask_agent: agent "${agentId}" not connected, falling back to ask_ai`);
       return routeToolCall('ask_ai', { prompt, system: args?.system, model: args?.model, speak: args?.speak }, context);
     }
+    const denied = deniedProviderCall(identity, context, `${agentId}__ask`);
+    if (denied) return denied;
     try {
       const result = await callProviderTool(agentId, 'ask', {
         prompt: args?.system ? `${args.system}\n\n${prompt}` : prompt,
         context: args?.context,
       });
       const text = result?.content?.[0]?.text || JSON.stringify(result);
-      if (args?.speak && text) {
+      if (args?.speak && text && !deniedProviderCall(identity, context, 'kokoro-tts__speak')) {
         try {
           await callProviderTool('kokoro-tts', 'speak', { text });
         } catch (speakErr) {
@@ -926,24 +2402,321 @@ async function routeToolCall(name, args, context = {}) {
   if (!parsed) {
     return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
   }
-  return await callProviderTool(parsed.clientId, parsed.toolName, args, { callerId: context.callerId });
+  const violations = validateToolArguments(parsed.clientId, parsed.toolName, args);
+  if (violations) {
+    stats.invalidArguments++;
+    addActivity('tool_invalid_args', `${name} rejected: ${violations.length} schema violation(s)`, { clientId: parsed.clientId, tool: parsed.toolName, violations });
+    return {
+      content: [{ type: 'text', text: `Invalid arguments for "${name}":\n${violations.map(v => `- ${v}`).join('\n')}` }],
+      isError: true,
+    };
+  }
+  if (!registry.has(parsed.clientId) && isQueueableTool(parsed.clientId, parsed.toolName)) {
+    return enqueueToolCall(parsed.clientId, parsed.toolName, args, identity, context.callerId);
+  }
+  return await callProviderTool(parsed.clientId, parsed.toolName, args, context);
+}
+
+// ─── Argument Validation ─────────────────────────────────────────────────────
+
+const AJV_OPTIONS = { allErrors: true, strict: false, validateFormats: false };
+const ajv = new Ajv(AJV_OPTIONS); // draft-07, also used for schemas without $schema
+const ajv2020 = new Ajv2020(AJV_OPTIONS); // draft 2020-12, the MCP default dialect
+const compiledSchemas = new WeakMap(); // inputSchema object → validate fn (null if the schema doesn't compile)
+
+/**
+ * Compile without leaving the schema in Ajv's cache: every register parses fresh
+ * schema objects, and a kept $id would make the next register fail as a duplicate.
+ */
+function compileSchema(schema) {
+  const instance = String(schema.$schema).includes('/draft/2020-12/') ? ajv2020 : ajv;
+  try {
+    return instance.compile(schema);
+  } finally {
+    instance.removeSchema(schema);
+  }
+}
+
+function compileInputSchema(clientId, tool) {
+  if (compiledSchemas.has(tool.inputSchema)) return compiledSchemas.get(tool.inputSchema);
+  let validate = null;
+  try {
+    validate = compileSchema(tool.inputSchema);
+  } catch (err) {
+    log(`Skipping argument validation for ${namespacedTool(clientId, tool.name)}: ${err.message}`);
+  }
+  compiledSchemas.set(tool.inputSchema, validate);
+  return validate;
+}
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_.-]{1,128}$/;
+
+/**
+ * Validate the tools array from a register message.
+ * Entries that can't be routed (no name, a name with "__" or invalid characters,
+ * a duplicate, an inputSchema that isn't an object-type schema) are dropped;
+ * fixable ones are sanitized.
+ * @returns {{ tools: object[], warnings: { tool: string|null, message: string }[] }}
+ */
+function validateToolDefinitions(rawTools) {
+  const tools = [];
+  const warnings = [];
+  if (rawTools !== undefined && !Array.isArray(rawTools)) {
+    warnings.push({ tool: null, message: 'tools must be an array — ignored' });
+    return { tools, warnings };
+  }
+  const seen = new Set();
+  for (const raw of rawTools || []) {
+    const name = raw?.name;
+    const warn = (message) => warnings.push({ tool: typeof name === 'string' ? name : null, message });
+    if (!raw || typeof raw !== 'object' || typeof name !== 'string' || !name) {
+      warn('tool entry without a name string — dropped');
+      continue;
+    }
+    if (name.includes('__')) {
+      warn('name must not contain "__" (reserved as the clientId separator) — dropped');
+      continue;
+    }
+    if (!TOOL_NAME_PATTERN.test(name)) {
+      warn('name may only contain letters, digits, "_", "-" and "." (max 128) — dropped');
+      continue;
+    }
+    if (seen.has(name)) {
+      warn('duplicate tool name — dropped (first definition kept)');
+      continue;
+    }
+
+    const tool = { ...raw };
+    if (tool.inputSchema === undefined) {
+      tool.inputSchema = { type: 'object', properties: {} };
+      warn('missing inputSchema — defaulted to an empty object schema');
+    } else if (!tool.inputSchema || typeof tool.inputSchema !== 'object' || Array.isArray(tool.inputSchema)) {
+      warn('inputSchema must be a JSON Schema object — dropped');
+      continue;
+    } else {
+      if (tool.inputSchema.type !== 'object') {
+        warn('inputSchema.type must be "object" — dropped');
+        continue;
+      }
+      let validate = null;
+      try {
+        validate = compileSchema(tool.inputSchema);
+      } catch (err) {
+        // Ajv knows draft-07 and 2020-12 only — an older dialect still routes, just unchecked
+        warn(`inputSchema could not be compiled (${err.message}) — arguments will not be validated`);
+      }
+      compiledSchemas.set(tool.inputSchema, validate);
+    }
+    if (tool.description !== undefined && typeof tool.description !== 'string') {
+      warn('description must be a string — removed');
+      delete tool.description;
+    }
+    if (tool.timeoutMs !== undefined && !isPositiveNumber(tool.timeoutMs)) {
+      warn('timeoutMs must be a positive number — ignored');
+      delete tool.timeoutMs;
+    }
+    for (const flag of ['idempotent', 'queueable']) {
+      if (tool[flag] !== undefined && typeof tool[flag] !== 'boolean') {
+        warn(`${flag} must be a boolean — ignored`);
+        delete tool[flag];
+      }
+    }
+    seen.add(name);
+    tools.push(tool);
+  }
+  return { tools, warnings };
+}
+
+/**
+ * Check args against the inputSchema the provider registered for the tool.
+ * Returns a list of violation strings, or null when the args are valid or
+ * validation doesn't apply (provider opted out, unknown tool, no schema).
+ */
+function validateToolArguments(clientId, toolName, args) {
+  // Offline providers' queueable tools are checked against their last registration
+  const entry = registry.get(clientId) || queueableTools.get(clientId);
+  if (!entry?.validateArguments) return null;
+  const tool = entry.tools.find(t => t.name === toolName);
+  if (!tool?.inputSchema || typeof tool.inputSchema !== 'object') return null;
+  const validate = compileInputSchema(clientId, tool);
+  if (!validate || validate(args || {})) return null;
+  return validate.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`);
+}
+
+// ─── Broker-Client Pools ─────────────────────────────────────────────────────
+
+/**
+ * A clientId registered with `pool: true` accepts further sockets that register
+ * the same clientId with `pool: true` (and the same credential). Calls are spread
+ * across members by the entry's balance strategy (POOL_BALANCE by default).
+ */
+function createPoolMember(ws) {
+  return { ws, inFlight: 0, calls: 0, connectedAt: new Date().toISOString() };
+}
+
+/** Remove ws from the entry's members; returns how many remain, or -1 if ws wasn't a member. */
+function removePoolMember(entry, ws) {
+  const index = entry.members.findIndex(m => m.ws === ws);
+  if (index === -1) return -1;
+  entry.members.splice(index, 1);
+  return entry.members.length;
+}
+
+/** Pick the member to receive the next call: round-robin or least-in-flight over open sockets. */
+function pickPoolMember(entry) {
+  const open = entry.members.filter(m => m.ws.readyState === 1);
+  if (open.length <= 1) return open[0] || entry.members[0] || null;
+  const start = entry.nextMember++ % open.length;
+  const rotated = [...open.slice(start), ...open.slice(0, start)];
+  if (entry.balance === 'least-in-flight') {
+    return rotated.reduce((best, m) => (m.inFlight < best.inFlight ? m : best));
+  }
+  return rotated[0];
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Effective timeout for a provider call: the per-call override, then the
+ * timeoutMs the provider registered for the tool, then the broker default.
+ */
+function resolveToolTimeout(clientId, toolName, requestedMs) {
+  if (isPositiveNumber(requestedMs)) return Math.min(requestedMs, TOOL_CALL_TIMEOUT_MAX_MS);
+  const tool = registry.get(clientId)?.tools.find(t => t.name === toolName);
+  if (isPositiveNumber(tool?.timeoutMs)) return Math.min(tool.timeoutMs, TOOL_CALL_TIMEOUT_MAX_MS);
+  return TOOL_CALL_TIMEOUT_MS;
+}
+
+/** Timeout to report in the activity log for a routed call (null for built-ins). */
+function describeToolTimeout(name, requestedMs) {
+  if (BUILTIN_TOOLS.some(b => b.name === name)) return null;
+  const parsed = parseNamespacedTool(name);
+  return parsed ? resolveToolTimeout(parsed.clientId, parsed.toolName, requestedMs) : null;
+}
+
+// ─── Failover & Retry ────────────────────────────────────────────────────────
+
+const providerWaiters = new Map(); // clientId → Set<(err?) => void>, woken when the client registers or is removed
+
+/** Reject every pending call that was sent over ws (its provider disconnected). */
+function failPendingCalls(ws) {
+  for (const [callId, pending] of pendingCalls) {
+    if (pending.member.ws !== ws) continue;
+    clearTimeout(pending.timer);
+    pendingCalls.delete(callId);
+    const err = new Error(`Broker client "${pending.clientId}" disconnected during "${pending.toolName}"`);
+    err.code = 'PROVIDER_DISCONNECTED';
+    pending.reject(err);
+  }
+}
+
+function notifyProviderWaiters(clientId, err) {
+  const waiters = providerWaiters.get(clientId);
+  if (!waiters) return;
+  providerWaiters.delete(clientId);
+  for (const wake of waiters) wake(err);
+}
+
+/** Resolve once clientId has an open socket (immediately if a pool member is still up). */
+function waitForProvider(clientId, timeoutMs, signal) {
+  const entry = registry.get(clientId);
+  if (entry?.members.some(m => m.ws.readyState === 1)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      providerWaiters.get(clientId)?.delete(wake);
+      if (err) reject(err);
+      else resolve();
+    };
+    const wake = (err) => done(err);
+    const onAbort = () => done(new Error(`Retry of call to "${clientId}" was cancelled`));
+    const timer = setTimeout(() => done(new Error(`Broker client "${clientId}" did not reconnect within ${timeoutMs}ms`)), timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (!providerWaiters.has(clientId)) providerWaiters.set(clientId, new Set());
+    providerWaiters.get(clientId).add(wake);
+  });
+}
+
+/**
+ * Send a tool_call to a broker-client and wait for its tool_result.
+ * If the provider disconnects mid-call and the tool was registered with
+ * idempotent: true, the call is retried once — on another pool member, or
+ * on the same clientId if it reconnects within TOOL_RETRY_GRACE_MS.
+ * Takes the same arguments as sendToolCall.
+ */
+async function callProviderTool(clientId, toolName, args, options = {}) {
+  const entry = registry.get(clientId);
+  if (entry?.disconnected) await waitForReconnect(clientId, entry, options.signal);
+  const idempotent = registry.get(clientId)?.tools.find(t => t.name === toolName)?.idempotent === true;
+  try {
+    return await sendToolCall(clientId, toolName, args, options);
+  } catch (err) {
+    if (err.code !== 'PROVIDER_DISCONNECTED' || !idempotent) throw err;
+    stats.toolRetries++;
+    log(`Retrying idempotent ${namespacedTool(clientId, toolName)} after disconnect`);
+    addActivity('tool_retry', `${namespacedTool(clientId, toolName)} retried after disconnect`, { clientId, tool: toolName });
+    await waitForProvider(clientId, TOOL_RETRY_GRACE_MS, options.signal);
+    return await sendToolCall(clientId, toolName, args, options);
+  }
 }
 
-function callProviderTool(clientId, toolName, args, { callerId } = {}) {
+/**
+ * Send a single tool_call to a broker-client and wait for its tool_result.
+ * @param {string} clientId
+ * @param {string} toolName — tool name as registered by the client (not namespaced)
+ * @param {object} args
+ * @param {object} [options]
+ * @param {string} [options.callerId] — forwarded so the provider knows who initiated the call
+ * @param {function} [options.onProgress] — receives { progress, total?, message? } from tool_progress
+ * @param {AbortSignal} [options.signal] — aborting sends tool_cancel and rejects the call
+ * @param {number} [options.timeoutMs] — per-call timeout override (see resolveToolTimeout)
+ */
+function sendToolCall(clientId, toolName, args, { callerId, onProgress, signal, timeoutMs } = {}) {
   return new Promise((resolve, reject) => {
     const entry = registry.get(clientId);
-    if (!entry) {
+    const member = entry && pickPoolMember(entry);
+    if (!member) {
       return reject(new Error(`Broker client "${clientId}" not connected`));
     }
+    if (signal?.aborted) {
+      return reject(new Error(`Tool call "${toolName}" on "${clientId}" was cancelled`));
+    }
 
     const callId = crypto.randomBytes(8).toString('hex');
+    const effectiveTimeoutMs = resolveToolTimeout(clientId, toolName, timeoutMs);
+
+    const onAbort = () => {
+      const pending = pendingCalls.get(callId);
+      if (!pending) return;
+      clearTimeout(pending.timer);
+      pendingCalls.delete(callId);
+      const reason = String(signal.reason?.message || signal.reason || 'Cancelled by caller');
+      if (member.ws.readyState === 1) {
+        member.ws.send(JSON.stringify({ type: 'tool_cancel', callId, reason }));
+      }
+      addActivity('tool_cancel', `${namespacedTool(clientId, toolName)} cancelled`, { clientId, tool: toolName, reason });
+      pending.reject(new Error(`Tool call "${toolName}" on "${clientId}" was cancelled`));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // Every outcome releases the member's in-flight slot exactly once
+    const settle = (fn) => (value) => {
+      signal?.removeEventListener('abort', onAbort);
+      member.inFlight--;
+      fn(value);
+    };
 
     const timer = setTimeout(() => {
+      const pending = pendingCalls.get(callId);
       pendingCalls.delete(callId);
-      reject(new Error(`Tool call "${toolName}" on "${clientId}" timed out after ${TOOL_CALL_TIMEOUT_MS}ms`));
-    }, TOOL_CALL_TIMEOUT_MS);
+      pending?.reject(new Error(`Tool call "${toolName}" on "${clientId}" timed out after ${effectiveTimeoutMs}ms`));
+    }, effectiveTimeoutMs);
 
-    pendingCalls.set(callId, { resolve, reject, timer });
+    member.inFlight++;
+    member.calls++;
+    pendingCalls.set(callId, { resolve: settle(resolve), reject: settle(reject), timer, member, clientId, toolName, onProgress });
 
     const message = {
       type: 'tool_call',
@@ -953,10 +2726,100 @@ function callProviderTool(clientId, toolName, args, { callerId } = {}) {
     };
     // Pass callerId so the tool provider knows who initiated the call
     if (callerId) message.callerId = callerId;
-    entry.ws.send(JSON.stringify(message));
+    member.ws.send(JSON.stringify(message));
   });
 }
 
+// ─── MCP Resources (published resources → MCP clients) ──────────────────────
+
+function defaultMimeType(content) {
+  return typeof content === 'string' ? 'text/plain' : 'application/json';
+}
+
+/** Convert a published resource into an MCP resources/list entry. */
+function toMcpResource(uri, r) {
+  return {
+    uri,
+    name: r.name || uri,
+    description: r.description || `[${r.clientId}] published resource`,
+    mimeType: r.mimeType || defaultMimeType(r.content),
+    _meta: { version: r.version, etag: r.etag, ...(r.stale ? { stale: true } : {}) },
+  };
+}
+
+/** resources/list whose params keep the broker's extra `pattern` glob (the SDK schema strips unknown params). */
+const ListResourcesWithPatternSchema = ListResourcesRequestSchema.extend({
+  params: ListResourcesRequestSchema.shape.params.unwrap().loose().optional(),
+});
+
+/** Convert a published resource into MCP resources/read contents. */
+function toMcpResourceContents(uri, r) {
+  const text = typeof r.content === 'string' ? r.content : JSON.stringify(r.content ?? null, null, 2);
+  return { uri, mimeType: r.mimeType || defaultMimeType(r.content), text, _meta: { version: r.version, etag: r.etag } };
+}
+
+/**
+ * Send notifications/resources/updated to every MCP server subscribed to uri.
+ * Returns the number of servers notified.
+ */
+function notifyMcpResourceUpdated(uri) {
+  const servers = matchingSubscribers(mcpResourceSubscriptions, uri);
+  for (const server of servers) {
+    server.sendResourceUpdated({ uri }).catch(err => log(`MCP resource notification failed: ${err.message}`));
+  }
+  return servers.size;
+}
+
+function removeMcpResourceSubscriptions(server) {
+  for (const uri of [...mcpResourceSubscriptions.keys()]) removeSubscription(mcpResourceSubscriptions, uri, server);
+}
+
+// ─── MCP Session Notifications ───────────────────────────────────────────────
+
+/** Stable fingerprint of every namespaced tool (name, description, schema). */
+function toolListSignature() {
+  const tools = [];
+  for (const [clientId, entry] of registry) {
+    for (const t of entry.tools) {
+      tools.push(JSON.stringify([namespacedTool(clientId, t.name), t.description || '', t.inputSchema || null]));
+    }
+  }
+  return tools.sort().join('\n');
+}
+
+/**
+ * Debounced notifications/tools/list_changed: a burst of registry changes
+ * (e.g. a reconnect replacing a stale socket) collapses into one check, and
+ * sessions are only notified if the tool set actually differs.
+ */
+function scheduleToolListChanged() {
+  clearTimeout(toolListChangedTimer);
+  toolListChangedTimer = setTimeout(() => {
+    const signature = toolListSignature();
+    if (signature === lastToolListSignature) return;
+    lastToolListSignature = signature;
+    notifyToolListChanged();
+  }, TOOL_LIST_CHANGED_DEBOUNCE_MS);
+}
+
+/** Push notifications/tools/list_changed to every stateful MCP session. */
+function notifyToolListChanged() {
+  log(`Tool list changed → notifying ${mcpSessions.size} MCP session(s)`);
+  for (const [sessionId, session] of mcpSessions) {
+    session.server.sendToolListChanged().catch(err => log(`tools/list_changed to session ${sessionId} failed: ${err.message}`));
+  }
+}
+
+/** Close sessions that have been idle (no requests, no open GET stream) too long. */
+function sweepIdleMcpSessions() {
+  const cutoff = Date.now() - MCP_SESSION_IDLE_MS;
+  for (const [sessionId, session] of mcpSessions) {
+    if (session.streams > 0 || session.lastSeen > cutoff) continue;
+    log(`Closing idle MCP session ${sessionId}`);
+    session.transport.close().catch(() => {});
+  }
+}
+
 // ─── MCP Server Factory (Streamable HTTP side) ──────────────────────────────
 
 // Built-in management tools
@@ -969,6 +2832,62 @@ const BUILTIN_TOOLS = [
       properties: {},
     },
   },
+  {
+    name: 'get_call_result',
+    description: 'Get the outcome of a call that was queued for an offline broker-client. Returns the tool result once delivered, otherwise the ticket status (queued or delivering).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ticket: { type: 'string', description: 'Ticket id returned when the call was queued' },
+      },
+      required: ['ticket'],
+    },
+  },
+  {
+    name: 'start_job',
+    description: 'Run any tool in the background and return a job id immediately. Poll with get_job; long-running tools (e.g. explain_yourself) no longer block the caller.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string', description: 'Tool to run (built-in or namespaced clientId__tool)' },
+        arguments: { type: 'object', description: 'Arguments for the tool' },
+        timeoutMs: { type: 'number', description: 'Call timeout override for the tool (optional)' },
+      },
+      required: ['tool'],
+    },
+  },
+  {
+    name: 'get_job',
+    description: 'Get a background job: status (running, completed, failed, cancelled), latest progress, and the result once finished',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id returned by start_job' },
+      },
+      required: ['jobId'],
+    },
+  },
+  {
+    name: 'cancel_job',
+    description: 'Cancel a running background job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id returned by start_job' },
+      },
+      required: ['jobId'],
+    },
+  },
+  {
+    name: 'list_jobs',
+    description: 'List your background jobs, optionally filtered by status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['running', 'completed', 'failed', 'cancelled'], description: 'Only jobs with this status (optional)' },
+      },
+    },
+  },
   {
     name: 'get_notifications',
     description: 'Get recent notifications from broker-clients, optionally filtered by clientId',
@@ -1074,10 +2993,15 @@ const BUILTIN_TOOLS = [
   },
 ];
 
-function createMcpServer() {
+/**
+ * @param {object} [options]
+ * @param {string} [options.identity] — caller identity for the tool policy (e.g. "api:claude")
+ * @param {boolean} [options.stateful] — backs an MCP session; only then can it push resource notifications
+ */
+function createMcpServer({ identity = 'anonymous', stateful = false } = {}) {
   const mcpServer = new Server(
     { name: 'mcp-broker', version: '1.0.0' },
-    { capabilities: { tools: {} } }
+    { capabilities: { tools: { listChanged: true }, resources: { subscribe: stateful } } }
   );
 
   mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -1096,13 +3020,22 @@ function createMcpServer() {
     return { tools };
   });
 
-  mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
+  mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
+    const progressToken = request.params._meta?.progressToken;
+    const requestedTimeoutMs = request.params._meta?.timeoutMs;
+    const onProgress = progressToken === undefined ? undefined : ({ progress, total, message }) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, ...(total !== undefined ? { total } : {}), ...(message ? { message } : {}) },
+      }).catch(err => log(`Progress notification failed: ${err.message}`));
+    };
 
     try {
       stats.toolCalls++;
-      addActivity('tool_call', `${name} called`, { tool: name, args });
-      const result = await routeToolCall(name, args);
+      const timeoutMs = describeToolTimeout(name, requestedTimeoutMs);
+      addActivity('tool_call', `${name} called${timeoutMs ? ` (timeout ${timeoutMs}ms)` : ''}`, { tool: name, args, timeoutMs });
+      const result = await routeToolCall(name, args, { identity, onProgress, signal: extra.signal, timeoutMs: requestedTimeoutMs });
       addActivity('tool_result', `${name} returned`, { tool: name, isError: result.isError });
       if (result.isError) stats.toolErrors++;
       return result;
@@ -1116,31 +3049,230 @@ function createMcpServer() {
     }
   });
 
+  mcpServer.setRequestHandler(ListResourcesWithPatternSchema, async (request) => {
+    const pattern = request.params?.pattern;
+    if (pattern !== undefined && typeof pattern !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, 'pattern must be a string');
+    }
+    const listRe = pattern ? globToRegExp(pattern) : null;
+    const list = [...resources.entries()].filter(([uri]) => !listRe || listRe.test(uri)).map(([uri, r]) => toMcpResource(uri, r));
+    return { resources: list };
+  });
+
+  mcpServer.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    const resourceTemplates = [];
+    for (const [clientId, entry] of registry) {
+      for (const t of entry.resourceTemplates || []) {
+        resourceTemplates.push({
+          uriTemplate: t.uriTemplate,
+          name: t.name || t.uriTemplate,
+          description: `[${clientId}] ${t.description || ''}`,
+          ...(t.mimeType ? { mimeType: t.mimeType } : {}),
+        });
+      }
+    }
+    return { resourceTemplates };
+  });
+
+  mcpServer.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri, _meta: meta } = request.params;
+    // Same conditional-read options as the WebSocket resources/read, passed in _meta
+    const version = meta?.version;
+    const resource = findResourceVersion(uri, version);
+    if (!resource) {
+      const reason = version !== undefined && resources.has(uri) ? `Version ${version} of ${uri} is not in history` : `Resource not found: ${uri}`;
+      throw new McpError(ErrorCode.InvalidParams, reason);
+    }
+    if (meta?.ifNoneMatch && meta.ifNoneMatch === resource.etag) {
+      return { contents: [], _meta: { notModified: true, version: resource.version, etag: resource.etag } };
+    }
+    return { contents: [toMcpResourceContents(uri, resource)] };
+  });
+
+  mcpServer.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    if (!stateful) {
+      // A per-request server has no stream to notify on and is never closed — don't track it
+      throw new McpError(ErrorCode.InvalidRequest, 'resources/subscribe requires an MCP session (send initialize first)');
+    }
+    addSubscription(mcpResourceSubscriptions, uri, mcpServer);
+    addActivity('resource_subscribe', `MCP client subscribed to ${uri}`, { uri });
+    return {};
+  });
+
+  mcpServer.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    removeSubscription(mcpResourceSubscriptions, uri, mcpServer);
+    return {};
+  });
+
+  mcpServer.onclose = () => removeMcpResourceSubscriptions(mcpServer);
+
   return mcpServer;
 }
 
+// ─── HTTP Authentication ─────────────────────────────────────────────────────
+
+/**
+ * HTTP scopes:
+ *   mcp   — the /mcp endpoint
+ *   read  — dashboard views, status, activity and SSE streams
+ *   write — dashboard actions that call tools or the AI (implies read)
+ */
+const HTTP_SCOPES = ['mcp', 'read', 'write', 'admin'];
+
+/**
+ * Load HTTP API keys: [{ name, token, scopes }].
+ *   MCP_API_KEYS       — comma-separated name:token[:scope|scope] entries (all scopes if omitted)
+ *   MCP_API_KEYS_FILE  — JSON array (or { keys: [...] }) of { name, token, scopes? }
+ * Authentication is enforced only when at least one key is configured.
+ */
+function loadHttpApiKeys() {
+  const keys = [];
+  const toScopes = (list, source) => {
+    if (!list || list.length === 0) return [...HTTP_SCOPES];
+    const unknown = list.filter(sc => !HTTP_SCOPES.includes(sc));
+    if (unknown.length) throw new Error(`${source}: unknown scope(s) ${unknown.join(', ')} (expected ${HTTP_SCOPES.join(', ')})`);
+    return list;
+  };
+  for (const entry of MCP_API_KEYS.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [name, token, scopes] = entry.split(':');
+    if (!name || !token) throw new Error(`MCP_API_KEYS entry must be name:token[:scopes], got "${entry}"`);
+    keys.push({ name, token, scopes: toScopes(scopes?.split('|').filter(Boolean), 'MCP_API_KEYS') });
+  }
+  if (MCP_API_KEYS_FILE) {
+    const parsed = JSON.parse(fs.readFileSync(MCP_API_KEYS_FILE, 'utf8'));
+    for (const k of Array.isArray(parsed) ? parsed : parsed.keys || []) {
+      if (!k?.name || !k?.token) throw new Error(`${MCP_API_KEYS_FILE}: every key needs a name and token`);
+      keys.push({ name: k.name, token: String(k.token), scopes: toScopes(k.scopes, MCP_API_KEYS_FILE) });
+    }
+  }
+  return keys;
+}
+
+const httpApiKeys = loadHttpApiKeys();
+const httpAuthEnabled = httpApiKeys.length > 0;
+
+/** Token from Authorization: Bearer <token>, or ?token= (for EventSource and dashboard links). */
+function requestToken(req) {
+  const auth = req.headers.authorization;
+  if (typeof auth === 'string' && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return typeof req.query?.token === 'string' ? req.query.token : null;
+}
+
+function keyHasScope(key, scope) {
+  if (key.scopes.includes(scope) || key.scopes.includes('admin')) return true;
+  return scope === 'read' && key.scopes.includes('write');
+}
+
+/** Jobs carry other callers' arguments and results: only their owner (or an admin key) sees them. */
+function canAccessJob(req, job) {
+  return !httpAuthEnabled || keyHasScope(req.apiKey, 'admin') || job.identity === httpIdentity(req);
+}
+
+/** Express middleware: require an API key with the given scope (no-op when auth is disabled). */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!httpAuthEnabled) return next();
+    const token = requestToken(req);
+    const key = token ? httpApiKeys.find(k => tokensEqual(k.token, token)) : null;
+    if (!key) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!keyHasScope(key, scope)) {
+      return res.status(403).json({ error: `API key "${key.name}" lacks the "${scope}" scope` });
+    }
+    req.apiKey = key;
+    next();
+  };
+}
+
+/** CORS_ORIGINS: comma-separated origins; '*' within an entry matches any characters. */
+const corsOriginPatterns = CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean).map(globToRegExp);
+
+function corsOriginAllowed(origin) {
+  return corsOriginPatterns.some(re => re.test(origin));
+}
+
 // ─── Express + Streamable HTTP Transport ─────────────────────────────────────
 
 const app = express();
 app.use(express.json());
 
-// CORS — allow Chrome extensions and any localhost origin
-app.use((_req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
-  if (_req.method === 'OPTIONS') return res.status(204).end();
+// CORS — only origins on the CORS_ORIGINS allow-list (default: localhost + Chrome extensions)
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (origin && corsOriginAllowed(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  }
+  if (req.method === 'OPTIONS') return res.status(origin && !corsOriginAllowed(origin) ? 403 : 204).end();
   next();
 });
 
-// Stateless: each request gets a fresh Server + Transport pair,
-// but they all share the same registry of broker-clients.
-app.post('/mcp', async (req, res) => {
+/** Tool-policy identity of an HTTP request (set by requireScope). */
+function httpIdentity(req) {
+  return req.apiKey ? `api:${req.apiKey.name}` : 'anonymous';
+}
+
+/**
+ * Look up the session named by the Mcp-Session-Id header.
+ * Responds 404 (unknown session) or 403 (session opened by another identity)
+ * and returns null; returns undefined when no header was sent.
+ */
+function resolveMcpSession(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) return undefined;
+  const session = mcpSessions.get(sessionId);
+  if (!session) {
+    res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null });
+    return null;
+  }
+  if (session.identity !== httpIdentity(req)) {
+    res.status(403).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session belongs to another caller' }, id: null });
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+// Stateful: an initialize request opens a session (Mcp-Session-Id) with its own
+// Server + Transport pair, which can receive server-initiated notifications.
+// Requests without a session id fall back to the stateless mode: a fresh pair
+// per request. Either way they all share the same registry of broker-clients.
+app.post('/mcp', requireScope('mcp'), async (req, res) => {
   try {
-    const transport = new StreamableHTTPServerTransport({
-      sessionIdGenerator: undefined,
-    });
-    const mcpServer = createMcpServer();
+    const session = resolveMcpSession(req, res);
+    if (session === null) return;
+    if (session) {
+      await session.transport.handleRequest(req, res, req.body);
+      return;
+    }
+
+    const identity = httpIdentity(req);
+    const stateful = isInitializeRequest(req.body);
+    const mcpServer = createMcpServer({ identity, stateful });
+    let transport;
+    if (stateful) {
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (sessionId) => {
+          mcpSessions.set(sessionId, { server: mcpServer, transport, identity, lastSeen: Date.now(), streams: 0 });
+          log(`MCP session ${sessionId} opened (${mcpSessions.size} active)`);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && mcpSessions.delete(transport.sessionId)) {
+          log(`MCP session ${transport.sessionId} closed (${mcpSessions.size} active)`);
+        }
+      };
+    } else {
+      transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    }
     await mcpServer.connect(transport);
     await transport.handleRequest(req, res, req.body);
   } catch (err) {
@@ -1149,46 +3281,79 @@ app.post('/mcp', async (req, res) => {
   }
 });
 
-app.get('/mcp', (_req, res) => res.status(405).end());
-app.delete('/mcp', (_req, res) => res.status(405).end());
+// GET opens the session's SSE stream for server-initiated notifications.
+// Without a session there is no stream to offer (405 doubles as a liveness ping).
+app.get('/mcp', requireScope('mcp'), async (req, res) => {
+  const session = resolveMcpSession(req, res);
+  if (session === null) return;
+  if (!session) return res.status(405).end();
+  session.streams++;
+  res.on('close', () => { session.streams--; session.lastSeen = Date.now(); });
+  try {
+    await session.transport.handleRequest(req, res);
+  } catch (err) {
+    log(`MCP SSE error: ${err.message}`);
+    if (!res.headersSent) res.status(500).json({ error: 'MCP stream failed' });
+  }
+});
 
-// ─── Dashboard API ───────────────────────────────────────────────────────────
+// DELETE tears the session down.
+app.delete('/mcp', requireScope('mcp'), async (req, res) => {
+  const session = resolveMcpSession(req, res);
+  if (session === null) return;
+  if (!session) return res.status(405).end();
+  try {
+    await session.transport.handleRequest(req, res);
+  } catch (err) {
+    log(`MCP session teardown error: ${err.message}`);
+    if (!res.headersSent) res.status(500).json({ error: 'MCP session teardown failed' });
+  }
+});
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
+setInterval(sweepIdleMcpSessions, 60_000).unref();
 
+// ─── Dashboard API ───────────────────────────────────────────────────────────
+
+// The dashboard page itself is static; its API calls carry the token.
 app.get('/', (_req, res) => {
   res.sendFile(join(__dirname, 'dashboard.html'));
 });
 
-app.get('/api/status', (_req, res) => {
+// Unauthenticated liveness probe (Docker HEALTHCHECK)
+app.get('/api/health', (_req, res) => {
+  res.json({ ok: true, uptime: Date.now() - serverStartedAt });
+});
+
+app.get('/api/status', requireScope('read'), (_req, res) => {
   res.json(buildStatusSnapshot());
 });
 
-app.get('/api/activity', (_req, res) => {
+app.get('/api/activity', requireScope('read'), (_req, res) => {
   res.json(activityLog);
 });
 
-app.post('/api/call-tool', async (req, res) => {
+app.post('/api/call-tool', requireScope('write'), async (req, res) => {
   const { clientId, tool, arguments: args } = req.body || {};
   if (!tool) {
     return res.status(400).json({ error: 'tool is required' });
   }
   const start = Date.now();
+  const identity = httpIdentity(req);
   try {
     let result;
     const parsed = parseNamespacedTool(tool);
     if (parsed || BUILTIN_TOOLS.some(b => b.name === tool)) {
       // Namespaced tool (e.g. kokoro-tts__preview_voice) or built-in tool:
       // always route through routeToolCall which handles both.
-      result = await routeToolCall(tool, args || {});
+      result = await routeToolCall(tool, args || {}, { identity });
     } else if (clientId) {
       // Plain tool name with explicit clientId (broker dashboard path):
-      // call the tool directly on the specified client.
+      // route as the namespaced tool on the specified client.
       const entry = registry.get(clientId);
       if (!entry) {
         return res.status(404).json({ error: `Client "${clientId}" not connected` });
       }
-      result = await callProviderTool(clientId, tool, args || {});
+      result = await routeToolCall(namespacedTool(clientId, tool), args || {}, { identity });
     } else {
       return res.status(400).json({ error: `Unknown tool: ${tool}` });
     }
@@ -1198,7 +3363,7 @@ app.post('/api/call-tool', async (req, res) => {
   }
 });
 
-app.get('/api/events', (req, res) => {
+app.get('/api/events', requireScope('read'), (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -1211,9 +3376,85 @@ app.get('/api/events', (req, res) => {
   req.on('close', () => sseClients.delete(res));
 });
 
+// ─── Audit Log API ───────────────────────────────────────────────────────────
+
+app.get('/api/audit', requireScope('read'), async (req, res) => {
+  if (!AUDIT_LOG_FILE) return res.status(404).json({ error: 'Audit log is disabled (AUDIT_LOG_FILE is empty)' });
+  const parseTime = (v) => {
+    if (!v) return null;
+    const d = /^\d+$/.test(v) ? new Date(Number(v)) : new Date(v);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+  };
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'from and to must be ISO timestamps or epoch milliseconds' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  try {
+    res.json(await queryAuditLog({ from, to, clientId: req.query.clientId, caller: req.query.caller, tool: req.query.tool, limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Background Jobs API ─────────────────────────────────────────────────────
+
+app.get('/api/jobs', requireScope('read'), (req, res) => {
+  const { status, identity } = req.query;
+  res.json([...jobs.values()]
+    .filter(j => canAccessJob(req, j) && (!status || j.status === status) && (!identity || j.identity === identity))
+    .map(j => toJobView(j, { withResult: false })));
+});
+
+app.post('/api/jobs', requireScope('write'), (req, res) => {
+  const { tool, arguments: args, timeoutMs } = req.body || {};
+  if (!tool || typeof tool !== 'string') {
+    return res.status(400).json({ error: 'tool is required' });
+  }
+  if (JOB_TOOLS.includes(tool)) {
+    return res.status(400).json({ error: `"${tool}" cannot run as a job` });
+  }
+  if ([...jobs.values()].filter(j => j.status === 'running').length >= JOBS_MAX_RUNNING) {
+    return res.status(429).json({ error: `Too many running jobs (${JOBS_MAX_RUNNING})` });
+  }
+  const job = startJob(tool, args || {}, { identity: httpIdentity(req), timeoutMs });
+  res.status(202).json(toJobView(job));
+});
+
+app.get('/api/jobs/:id', requireScope('read'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) return res.status(404).json({ error: `No job "${req.params.id}"` });
+  res.json(toJobView(job));
+});
+
+app.delete('/api/jobs/:id', requireScope('write'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccessJob(req, job)) return res.status(404).json({ error: `No job "${req.params.id}"` });
+  if (!cancelJob(job.id)) return res.status(409).json({ error: `Job already ${job.status}` });
+  res.json(toJobView(job));
+});
+
+// ─── Access Approvals ────────────────────────────────────────────────────────
+
+app.get('/api/approvals', requireScope('read'), (_req, res) => {
+  res.json(listPendingApprovals());
+});
+
+app.post('/api/approvals/:id', requireScope('write'), (req, res) => {
+  const { decision, always } = req.body || {};
+  if (decision !== 'approve' && decision !== 'deny') {
+    return res.status(400).json({ error: 'decision must be "approve" or "deny"' });
+  }
+  if (!decideAccessApproval(req.params.id, decision, always === true)) {
+    return res.status(404).json({ error: `No pending approval "${req.params.id}"` });
+  }
+  res.json({ ok: true });
+});
+
 // ─── Per-Client Dashboard ─────────────────────────────────────────────────────
 
-app.get('/client/:clientId', (req, res) => {
+app.get('/client/:clientId', requireScope('read'), (req, res) => {
   const { clientId } = req.params;
   const entry = registry.get(clientId);
   const clientData = entry
@@ -1243,7 +3484,7 @@ app.get('/client/:clientId', (req, res) => {
   res.type('html').send(html);
 });
 
-app.get('/api/client/:clientId/status', (req, res) => {
+app.get('/api/client/:clientId/status', requireScope('read'), (req, res) => {
   const { clientId } = req.params;
   const entry = registry.get(clientId);
   if (!entry) return res.status(404).json({ error: `Client "${clientId}" not connected` });
@@ -1256,13 +3497,13 @@ app.get('/api/client/:clientId/status', (req, res) => {
   });
 });
 
-app.get('/api/client/:clientId/activity', (req, res) => {
+app.get('/api/client/:clientId/activity', requireScope('read'), (req, res) => {
   const { clientId } = req.params;
   const filtered = activityLog.filter(a => a.data && a.data.clientId === clientId);
   res.json(filtered);
 });
 
-app.get('/api/client/:clientId/events', (req, res) => {
+app.get('/api/client/:clientId/events', requireScope('read'), (req, res) => {
   const { clientId } = req.params;
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -1279,36 +3520,23 @@ app.get('/api/client/:clientId/events', (req, res) => {
 
 // ─── Speak Action (Ollama rephrase → TTS) ────────────────────────────────────
 
-app.post('/api/speak-action', async (req, res) => {
+app.post('/api/speak-action', requireScope('write'), async (req, res) => {
   const { action } = req.body || {};
   if (!action || typeof action !== 'string') {
     return res.status(400).json({ error: 'action string is required' });
   }
-
-  // Use Ollama to rephrase into natural poker speech
-  let spokenText = action;
+  // Same path as the speak_action built-in: tool policy, rate limits and audit apply
   try {
-    const text = await ollamaGenerate(action, {
-      model: 'qwen2.5:3b',
-      system: 'You are a poker player announcing your action at the table. Rephrase the given poker action into a short, natural, first-person spoken phrase (5-10 words max). Be varied and casual. Examples: "I\'ll raise to six fifty", "Fold", "Call", "I\'m all in", "Bet four hundred", "I raise eight hundred". Output ONLY the spoken phrase, nothing else. No quotes, no explanation.'
-    });
-    if (text && text.length > 0 && text.length < 100) spokenText = text.trim();
+    const result = await routeToolCall('speak_action', { action }, { identity: httpIdentity(req) });
+    res.json({ spoken: result._meta?.spoken, tts: result.content, isError: result.isError || false });
   } catch (err) {
-    log(`speak-action Ollama rephrase failed: ${err.message}, using raw action`);
-  }
-
-  // Forward to TTS
-  try {
-    const ttsResult = await callProviderTool('kokoro-tts', 'speak', { text: spokenText });
-    res.json({ spoken: spokenText, tts: ttsResult.content, isError: ttsResult.isError || false });
-  } catch (err) {
-    res.status(500).json({ error: err.message, spoken: spokenText });
+    res.status(500).json({ error: err.message });
   }
 });
 
 // ─── Ask AI Streaming (tokens arrive in real-time) ────────────────────────────
 
-app.post('/api/ask-stream', async (req, res) => {
+app.post('/api/ask-stream', requireScope('write'), async (req, res) => {
   const { prompt, model, system, speak } = req.body || {};
   if (!prompt || typeof prompt !== 'string') {
     return res.status(400).json({ error: 'prompt string is required' });
@@ -1354,7 +3582,7 @@ app.post('/api/ask-stream', async (req, res) => {
 
     addActivity('chat', `Ask AI stream (model: ${model || 'default'})`, { clientId: 'dashboard', model });
 
-    if (speak && fullText) {
+    if (speak && fullText && !deniedProviderCall(httpIdentity(req), {}, 'kokoro-tts__speak')) {
       try {
         await callProviderTool('kokoro-tts', 'speak', { text: fullText });
       } catch (speakErr) {
@@ -1370,7 +3598,7 @@ app.post('/api/ask-stream', async (req, res) => {
 
 // ─── Chat Test (direct Ollama proxy — same path as WS chat_request) ──────────
 
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', requireScope('write'), async (req, res) => {
   const { message, model, system } = req.body || {};
   if (!message || typeof message !== 'string') {
     return res.status(400).json({ error: 'message string is required' });
@@ -1391,6 +3619,19 @@ app.post('/api/chat', async (req, res) => {
 // ─── Start ───────────────────────────────────────────────────────────────────
 
 async function main() {
+  await loadBrokerState();
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      log(`${signal} received — saving state`);
+      clearTimeout(stateSaveTimer);
+      await stateSaveInFlight;
+      await saveBrokerState();
+      process.exit(0);
+    });
+  }
+
+  await new Promise(resolve => wsHttpServer.listen(WS_PORT, BIND_HOST, resolve));
+  log(`WebSocket server listening on ${BIND_HOST}:${WS_PORT}`);
   app.listen(HTTP_PORT, BIND_HOST, () => {
     log(`MCP HTTP server listening on http://${BIND_HOST}:${HTTP_PORT}/mcp`);
   });
@@ -1400,6 +3641,7 @@ async function main() {
   const dashboard = new BrokerClient('dashboard', {
     url: `ws://localhost:${WS_PORT}`,
     autoReconnect: true,
+    token: brokerClientAuthEnabled ? INTERNAL_CLIENT_TOKEN : undefined,
   });
 
   dashboard.addTool({
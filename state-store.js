@@ -0,0 +1,83 @@
+/**
+ * Broker State Stores
+ *
+ * Persist the broker's published state (resources and notification buffers)
+ * across restarts. A store is any object with:
+ *
+ *   async load()          → snapshot object, or null if nothing was saved
+ *   async save(snapshot)  → persist the snapshot (replaces the previous one)
+ *   async quarantine()    → optional: set an unreadable snapshot aside, returns where
+ *
+ * Built-in stores:
+ *   'file'   — JSON snapshot on local disk, written atomically (default)
+ *   'memory' — keeps nothing across restarts
+ *
+ * Anything else is treated as a module path whose default export (or
+ * createStateStore export) is a factory: (options) => store.
+ */
+
+import fs from 'fs';
+import { dirname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+export class FileStateStore {
+  /**
+   * @param {string} file — snapshot path; parent directories are created on save
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async save(snapshot) {
+    await fs.promises.mkdir(dirname(this.file), { recursive: true });
+    // Write-then-rename so a crash mid-write never leaves a truncated snapshot
+    const tmp = `${this.file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+    await fs.promises.rename(tmp, this.file);
+  }
+
+  async quarantine() {
+    const aside = `${this.file}.corrupt-${Date.now()}`;
+    await fs.promises.rename(this.file, aside);
+    return aside;
+  }
+}
+
+export class MemoryStateStore {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  async load() {
+    return this.snapshot;
+  }
+
+  async save(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
+
+/**
+ * Resolve a store from its name or module path.
+ * @param {string} kind — 'file' | 'memory' | path to a store module
+ * @param {object} options — { file } for the file store; passed to custom factories as-is
+ */
+export async function createStateStore(kind, options = {}) {
+  if (!kind || kind === 'file') return new FileStateStore(options.file);
+  if (kind === 'memory') return new MemoryStateStore();
+  const mod = await import(pathToFileURL(resolve(kind)).href);
+  const factory = mod.default || mod.createStateStore;
+  if (typeof factory !== 'function') {
+    throw new Error(`State store module "${kind}" must export a factory function`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Unit test: json-patch.js against the RFC 6902 (Appendix A) and RFC 7386
+ * (Appendix A) examples, plus the failure and rollback paths.
+ */
+
+import { applyJsonPatch, applyMergePatch } from './json-patch.js';
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function throws(fn, pattern) {
+  try { fn(); } catch (err) { return pattern.test(err.message); }
+  return false;
+}
+
+// ─── Test ────────────────────────────────────────────────────────────────────
+
+let passed = 0;
+let failed = 0;
+
+function assert(label, condition) {
+  if (condition) { console.log(`  ✅ ${label}`); passed++; }
+  else { console.log(`  ❌ ${label}`); failed++; }
+}
+
+console.log('\n── Test: RFC 6902 examples ──');
+assert('A.1 add an object member',
+  equal(applyJsonPatch({ foo: 'bar' }, [{ op: 'add', path: '/baz', value: 'qux' }]), { foo: 'bar', baz: 'qux' }));
+assert('A.2 add an array element',
+  equal(applyJsonPatch({ foo: ['bar', 'baz'] }, [{ op: 'add', path: '/foo/1', value: 'qux' }]), { foo: ['bar', 'qux', 'baz'] }));
+assert('A.3 remove an object member',
+  equal(applyJsonPatch({ baz: 'qux', foo: 'bar' }, [{ op: 'remove', path: '/baz' }]), { foo: 'bar' }));
+assert('A.4 remove an array element',
+  equal(applyJsonPatch({ foo: ['bar', 'qux', 'baz'] }, [{ op: 'remove', path: '/foo/1' }]), { foo: ['bar', 'baz'] }));
+assert('A.5 replace a value',
+  equal(applyJsonPatch({ baz: 'qux', foo: 'bar' }, [{ op: 'replace', path: '/baz', value: 'boo' }]), { baz: 'boo', foo: 'bar' }));
+assert('A.6 move a value',
+  equal(applyJsonPatch(
+    { foo: { bar: 'baz', waldo: 'fred' }, qux: { corge: 'grault' } },
+    [{ op: 'move', from: '/foo/waldo', path: '/qux/thud' }]),
+  { foo: { bar: 'baz' }, qux: { corge: 'grault', thud: 'fred' } }));
+assert('A.7 move an array element',
+  equal(applyJsonPatch({ foo: ['all', 'grass', 'cows', 'eat'] }, [{ op: 'move', from: '/foo/1', path: '/foo/3' }]),
+    { foo: ['all', 'cows', 'eat', 'grass'] }));
+assert('A.8 test a value (success)',
+  equal(applyJsonPatch({ baz: 'qux', foo: ['a', 2, 'c'] }, [
+    { op: 'test', path: '/baz', value: 'qux' },
+    { op: 'test', path: '/foo/1', value: 2 },
+  ]), { baz: 'qux', foo: ['a', 2, 'c'] }));
+assert('A.9 test a value (error)',
+  throws(() => applyJsonPatch({ baz: 'qux' }, [{ op: 'test', path: '/baz', value: 'bar' }]), /Test failed/));
+assert('A.10 add a nested member object',
+  equal(applyJsonPatch({ foo: 'bar' }, [{ op: 'add', path: '/child', value: { grandchild: {} } }]),
+    { foo: 'bar', child: { grandchild: {} } }));
+assert('A.11 ignore unrecognized elements',
+  equal(applyJsonPatch({ foo: 'bar' }, [{ op: 'add', path: '/baz', value: 'qux', xyz: 123 }]), { foo: 'bar', baz: 'qux' }));
+assert('A.12 add to a nonexistent target',
+  throws(() => applyJsonPatch({ foo: 'bar' }, [{ op: 'add', path: '/baz/bat', value: 'qux' }]), /Path not found/));
+assert('A.14 ~ escape ordering',
+  equal(applyJsonPatch({ '/': 9, '~1': 10 }, [{ op: 'test', path: '/~01', value: 10 }]), { '/': 9, '~1': 10 }));
+assert('A.15 comparing strings and numbers',
+  throws(() => applyJsonPatch({ '/': 9, '~1': 10 }, [{ op: 'test', path: '/~01', value: '10' }]), /Test failed/));
+assert('A.16 add an array value',
+  equal(applyJsonPatch({ foo: ['bar'] }, [{ op: 'add', path: '/foo/-', value: ['abc', 'def'] }]), { foo: ['bar', ['abc', 'def']] }));
+
+console.log('\n── Test: JSON Patch edge cases ──');
+assert('copy duplicates a value',
+  equal(applyJsonPatch({ a: { b: 1 } }, [{ op: 'copy', from: '/a', path: '/c' }]), { a: { b: 1 }, c: { b: 1 } }));
+assert('replace at the root swaps the document',
+  equal(applyJsonPatch({ a: 1 }, [{ op: 'replace', path: '', value: [1] }]), [1]));
+assert('~1 escapes a slash in a key',
+  equal(applyJsonPatch({ 'a/b': 1 }, [{ op: 'remove', path: '/a~1b' }]), {}));
+assert('remove of a missing member fails',
+  throws(() => applyJsonPatch({ a: 1 }, [{ op: 'remove', path: '/zz' }]), /Path not found/));
+assert('array index past the end fails',
+  throws(() => applyJsonPatch({ a: [] }, [{ op: 'add', path: '/a/5', value: 1 }]), /out of bounds/));
+assert('leading-zero array index fails',
+  throws(() => applyJsonPatch({ a: [1, 2] }, [{ op: 'replace', path: '/a/01', value: 1 }]), /Invalid array index/));
+assert('move into own child fails',
+  throws(() => applyJsonPatch({ a: { b: {} } }, [{ op: 'move', from: '/a', path: '/a/b/c' }]), /its children/));
+assert('unknown op fails', throws(() => applyJsonPatch({}, [{ op: 'nope', path: '' }]), /Unknown op/));
+assert('pointer without leading slash fails', throws(() => applyJsonPatch({}, [{ op: 'add', path: 'a', value: 1 }]), /Invalid JSON Pointer/));
+assert('non-array patch fails', throws(() => applyJsonPatch({}, { op: 'add' }), /must be an array/));
+assert('error names the failing operation',
+  throws(() => applyJsonPatch({}, [{ op: 'add', path: '/a', value: 1 }, { op: 'remove', path: '/b' }]), /^Operation 1 \(remove\)/));
+
+console.log('\n── Test: Atomicity ──');
+const original = { pot: 5, seats: ['a', 'b'] };
+const snapshot = JSON.stringify(original);
+assert('failed patch throws after earlier ops succeeded',
+  throws(() => applyJsonPatch(original, [
+    { op: 'replace', path: '/pot', value: 9 },
+    { op: 'add', path: '/seats/-', value: 'c' },
+    { op: 'test', path: '/pot', value: 5 },
+  ]), /Test failed/));
+assert('input document is untouched after a failure', JSON.stringify(original) === snapshot);
+const patched = applyJsonPatch(original, [{ op: 'add', path: '/seats/-', value: 'c' }]);
+assert('input document is untouched after a success', JSON.stringify(original) === snapshot);
+assert('added values are not shared with the patch', (() => {
+  const value = { n: 1 };
+  const out = applyJsonPatch({}, [{ op: 'add', path: '/v', value }]);
+  value.n = 2;
+  return out.v.n === 1;
+})());
+assert('patched copy has the change', equal(patched.seats, ['a', 'b', 'c']));
+
+console.log('\n── Test: RFC 7386 examples ──');
+const mergeCases = [
+  [{ a: 'b' }, { a: 'c' }, { a: 'c' }],
+  [{ a: 'b' }, { b: 'c' }, { a: 'b', b: 'c' }],
+  [{ a: 'b' }, { a: null }, {}],
+  [{ a: 'b', b: 'c' }, { a: null }, { b: 'c' }],
+  [{ a: ['b'] }, { a: 'c' }, { a: 'c' }],
+  [{ a: 'c' }, { a: ['b'] }, { a: ['b'] }],
+  [{ a: { b: 'c' } }, { a: { b: 'd', c: null } }, { a: { b: 'd' } }],
+  [{ a: [{ b: 'c' }] }, { a: [1] }, { a: [1] }],
+  [['a', 'b'], ['c', 'd'], ['c', 'd']],
+  [{ a: 'b' }, ['c'], ['c']],
+  [{ a: 'foo' }, null, null],
+  [{ a: 'foo' }, 'bar', 'bar'],
+  [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+  [[1, 2], { a: 'b', c: null }, { a: 'b' }],
+  [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+];
+mergeCases.forEach(([target, patch, expected], i) => {
+  assert(`merge case ${i + 1}: ${JSON.stringify(patch)}`, equal(applyMergePatch(target, patch), expected));
+});
+const mergeTarget = { a: { b: 1 } };
+applyMergePatch(mergeTarget, { a: { b: 2 } });
+assert('merge leaves the target untouched', mergeTarget.a.b === 1);
+
+// Summary
+console.log(`\n── Results: ${passed} passed, ${failed} failed ──\n`);
+process.exit(failed > 0 ? 1 : 0);
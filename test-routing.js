@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * Integration test: starts server.js on test ports with policy files, connects
+ * raw WebSocket broker-clients and verifies routing rules end to end over
+ * /api/call-tool, plus resource patches and listing. Like server.js, it needs ../mcp-broker-client next to this repo.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { WebSocket } from 'ws';
+
+const WS_PORT = 13299;  // test ports to avoid conflict
+const HTTP_PORT = 13298;
+const tmpDir = fs.mkdtempSync(join(os.tmpdir(), 'mcp-broker-test-'));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ─── Harness ─────────────────────────────────────────────────────────────────
+
+let broker = null;
+
+/** Start server.js with extra env (config files given as objects are written to tmpDir). */
+async function startBroker(env = {}) {
+  const files = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (typeof value !== 'object') continue;
+    files[name] = join(tmpDir, `${name}.json`);
+    fs.writeFileSync(files[name], JSON.stringify(value));
+  }
+  broker = spawn(process.execPath, ['server.js'], {
+    cwd: new URL('.', import.meta.url).pathname,
+    env: {
+      ...process.env,
+      BROKER_WS_PORT: String(WS_PORT),
+      MCP_HTTP_PORT: String(HTTP_PORT),
+      STATE_STORE: 'memory',
+      AUDIT_LOG_FILE: '',
+      CALL_QUEUE_FILE: '',
+      ...env,
+      ...files,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`broker did not start:\n${output}`)), 10000);
+    const onData = (d) => {
+      output += d;
+      if (output.includes('MCP HTTP server listening')) { clearTimeout(timer); resolve(); }
+    };
+    broker.stdout.on('data', onData);
+    broker.stderr.on('data', onData);
+    broker.on('exit', (code) => { clearTimeout(timer); reject(new Error(`broker exited (${code}):\n${output}`)); });
+  });
+}
+
+async function stopBroker() {
+  if (!broker) return;
+  const exited = new Promise(r => broker.once('exit', r));
+  broker.kill('SIGTERM');
+  await exited;
+  broker = null;
+}
+
+/**
+ * Register a raw broker-client whose tools answer with "<clientId>:<tool>" after delayMs.
+ * toolNames entries are names or full tool definitions.
+ */
+async function connectProvider(clientId, toolNames, { delayMs = 0, register = {} } = {}) {
+  const ws = new WebSocket(`ws://localhost:${WS_PORT}`);
+  await new Promise((res, rej) => { ws.on('open', res); ws.on('error', rej); });
+  ws.calls = 0;
+  ws.received = []; // arguments of each tool_call, in arrival order
+  ws.active = 0;
+  ws.maxActive = 0;
+  ws.on('message', async (raw) => {
+    const msg = JSON.parse(raw.toString());
+    if (msg.type !== 'tool_call') return;
+    ws.calls++;
+    ws.received.push(msg.arguments);
+    ws.maxActive = Math.max(ws.maxActive, ++ws.active);
+    if (delayMs) await sleep(delayMs);
+    ws.active--;
+    ws.send(JSON.stringify({ type: 'tool_result', callId: msg.callId, content: [{ type: 'text', text: `${clientId}:${msg.tool}` }] }));
+  });
+  const registered = new Promise(r => ws.on('message', (raw) => {
+    if (JSON.parse(raw.toString()).type === 'registered') r();
+  }));
+  ws.send(JSON.stringify({
+    type: 'register',
+    clientId,
+    tools: toolNames.map(tool => (typeof tool === 'string' ? { name: tool, inputSchema: { type: 'object', properties: {} } } : tool)),
+    ...register,
+  }));
+  await registered;
+  return ws;
+}
+
+/** Send a WS message and resolve with the next reply whose type is in types. */
+function request(ws, msg, types = ['error']) {
+  return new Promise((resolve) => {
+    const onMessage = (raw) => {
+      const reply = JSON.parse(raw.toString());
+      if (!types.includes(reply.type)) return;
+      ws.off('message', onMessage);
+      resolve(reply);
+    };
+    ws.on('message', onMessage);
+    ws.send(JSON.stringify(msg));
+  });
+}
+
+async function callTool(tool, args = {}, token) {
+  const res = await fetch(`http://localhost:${HTTP_PORT}/api/call-tool`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify({ tool, arguments: args }),
+  });
+  const body = await res.json();
+  return { ...body, text: body.content?.[0]?.text || body.error };
+}
+
+// ─── Test ────────────────────────────────────────────────────────────────────
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function assert(label, condition) {
+    if (condition) { console.log(`  ✅ ${label}`); passed++; }
+    else { console.log(`  ❌ ${label}`); failed++; }
+  }
+
+  // 1. Tool access policy
+  console.log('\n── Test: Tool access policy ──');
+  await startBroker({
+    MCP_API_KEYS: 'alice:alice-token,bob:bob-token',
+    TOOL_POLICY_FILE: {
+      default: 'deny',
+      rules: [
+        { callers: ['api:alice'], tools: ['victim__*'], effect: 'deny' },
+        { callers: ['api:alice'], tools: ['*'], effect: 'allow' },
+        { callers: ['api:bob'], tools: ['victim__echo', 'request_access', 'speak*'], effect: 'allow' },
+      ],
+    },
+  });
+  const victim = await connectProvider('victim', ['echo']);
+  const other = await connectProvider('other', ['echo']);
+  victim.send(JSON.stringify({ type: 'register_access', capabilities: [{ name: 'execute', inputSchema: { type: 'object' } }] }));
+  await sleep(100);
+
+  assert('Allowed by a glob rule', (await callTool('other__echo', {}, 'alice-token')).text === 'other:echo');
+  assert('Earlier deny rule wins over a later allow', /Access denied/.test((await callTool('victim__echo', {}, 'alice-token')).text));
+  assert('Exact tool rule allows', (await callTool('victim__echo', {}, 'bob-token')).text === 'victim:echo');
+  assert('Default deny applies when no rule matches', /Access denied/.test((await callTool('other__echo', {}, 'bob-token')).text));
+  const aliceAccess = await callTool('request_access', { clientId: 'victim', capability: 'execute' }, 'alice-token');
+  assert('request_access honours deny rules on the target', /may not call "victim__access_execute"/.test(aliceAccess.text));
+  const bobAccess = await callTool('request_access', { clientId: 'victim', capability: 'execute' }, 'bob-token');
+  assert('request_access needs the capability allowed too', /may not call "victim__access_execute"/.test(bobAccess.text));
+  const explain = await callTool('explain_yourself', { clientId: 'victim' }, 'alice-token');
+  assert('explain_yourself honours deny rules on the target', /may not call "victim__introspect"/.test(explain.text));
+  assert('speak is checked as kokoro-tts__speak', /may not call "kokoro-tts__speak"/.test((await callTool('speak', { text: 'hi' }, 'bob-token')).text));
+  const tts = await connectProvider('kokoro-tts', ['speak']);
+  const speakAction = (token) => fetch(`http://localhost:${HTTP_PORT}/api/speak-action`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ action: 'fold' }),
+  }).then(r => r.json());
+  const bobSpeech = await speakAction('bob-token');
+  assert('/api/speak-action goes through the tool policy', bobSpeech.isError && /may not call "kokoro-tts__speak"/.test(bobSpeech.tts[0].text));
+  const aliceSpeech = await speakAction('alice-token');
+  assert('/api/speak-action still reports the spoken text', !aliceSpeech.isError && aliceSpeech.spoken && aliceSpeech.tts[0].text === 'kokoro-tts:speak');
+  assert('Anonymous HTTP callers are rejected', (await callTool('other__echo')).text === 'Authentication required');
+
+  victim.close();
+  other.close();
+  tts.close();
+  await stopBroker();
+
+  // 2. Broker-client pools
+  console.log('\n── Test: Broker-client pools ──');
+  await startBroker();
+  const first = await connectProvider('pool', ['work'], { register: { pool: true } });
+  const second = await connectProvider('pool', ['work'], { register: { pool: true } });
+  for (let i = 0; i < 4; i++) await callTool('pool__work');
+  assert('Round-robin spreads calls evenly', first.calls === 2 && second.calls === 2);
+
+  const slow = await connectProvider('lif', ['work'], { delayMs: 1000, register: { pool: true, balance: 'least-in-flight' } });
+  const fast = await connectProvider('lif', ['work'], { register: { pool: true, balance: 'least-in-flight' } });
+  const busy = callTool('lif__work');
+  await sleep(50);
+  // One at a time, so each call sees the busy member still holding its call
+  await callTool('lif__work');
+  await callTool('lif__work');
+  await busy;
+  assert('Least-in-flight avoids the busy member', slow.calls === 1 && fast.calls === 2);
+
+  first.close();
+  await sleep(200);
+  const afterLeave = await callTool('pool__work');
+  assert('Remaining member takes over when one leaves', afterLeave.text === 'pool:work' && second.calls === 3);
+
+  second.close();
+  slow.close();
+  fast.close();
+  await stopBroker();
+
+  // 3. Rate limits
+  console.log('\n── Test: Rate limits ──');
+  await startBroker({
+    MCP_API_KEYS: 'alice:alice-token,bob:bob-token',
+    RATE_LIMITS_FILE: {
+      maxConcurrentPerProvider: { busy: 1 },
+      callsPerMinutePerCaller: { 'api:bob': 3 },
+      callsPerMinutePerTool: { 'quota__*': 2 },
+    },
+  });
+  const busyProvider = await connectProvider('busy', ['work'], { delayMs: 300 });
+  const quota = await connectProvider('quota', ['ping', 'other']);
+  // Either concurrent call may reach the broker first
+  const concurrent = await Promise.all([callTool('busy__work', {}, 'alice-token'), callTool('busy__work', {}, 'alice-token')]);
+  assert('Provider concurrency limit admits one call', concurrent.filter(r => r.text === 'busy:work').length === 1);
+  assert('Second concurrent call is rejected', concurrent.some(r => /Rate limit exceeded: "busy" already has 1 call/.test(r.text)));
+  assert('Provider slot is released after the call', (await callTool('busy__work', {}, 'alice-token')).text === 'busy:work');
+
+  for (let i = 0; i < 3; i++) await callTool('list_broker_clients', {}, 'bob-token');
+  assert('Per-caller limit rejects the call over quota', /"api:bob" exceeded 3 calls\/minute/.test((await callTool('list_broker_clients', {}, 'bob-token')).text));
+  assert('Other callers are unaffected', !(await callTool('list_broker_clients', {}, 'alice-token')).isError);
+
+  for (let i = 0; i < 5; i++) await callTool('quota__missing', {}, 'alice-token');
+  assert('Unroutable names do not consume a tool quota', !/Rate limit/.test((await callTool('quota__missing', {}, 'alice-token')).text));
+  await callTool('quota__ping', {}, 'alice-token');
+  await callTool('quota__ping', {}, 'alice-token');
+  assert('Per-tool limit rejects the call over quota', /"quota__ping" exceeded its quota of 2/.test((await callTool('quota__ping', {}, 'alice-token')).text));
+  assert('Tool quotas are counted per tool name', (await callTool('quota__other', {}, 'alice-token')).text === 'quota:other');
+
+  busyProvider.close();
+  quota.close();
+  await stopBroker();
+
+  // 4. Tool call timeouts
+  console.log('\n── Test: Tool call timeouts ──');
+  await startBroker({ TOOL_CALL_TIMEOUT_MS: '200', TOOL_CALL_TIMEOUT_MAX_MS: '400' });
+  const slowProvider = await connectProvider('slow', [
+    'work',
+    { name: 'long', timeoutMs: 60000, inputSchema: { type: 'object', properties: {} } },
+  ], { delayMs: 600 });
+  assert('Broker starts with both timeout variables set', true);
+  assert('TOOL_CALL_TIMEOUT_MS sets the default', /timed out after 200ms/.test((await callTool('slow__work')).text));
+  assert('TOOL_CALL_TIMEOUT_MAX_MS caps a per-tool timeout', /timed out after 400ms/.test((await callTool('slow__long')).text));
+  slowProvider.close();
+  await stopBroker();
+
+  await startBroker({ TOOL_CALL_TIMEOUT_MS: 'soon', TOOL_CALL_TIMEOUT_MAX_MS: '-1' });
+  const quick = await connectProvider('quick', ['work']);
+  assert('Invalid timeout variables fall back to the defaults', (await callTool('quick__work')).text === 'quick:work');
+  quick.close();
+  await stopBroker();
+
+  // 5. Resource patches
+  console.log('\n── Test: Resource patches ──');
+  await startBroker();
+  const owner = await connectProvider('owner', []);
+  const watcher = await connectProvider('watcher', []);
+  const uri = 'table://1';
+  const patched = ['resources/updated', 'error'];
+  await request(owner, { type: 'resources/update', uri, content: { pot: 1, seats: ['a'] } }, patched);
+  await request(watcher, { type: 'resources/subscribe', uri: 'table://*', patches: true }, ['resources/subscribed']);
+  const notified = new Promise(r => watcher.once('message', raw => r(JSON.parse(raw.toString()))));
+  const jsonPatch = [{ op: 'add', path: '/seats/-', value: 'b' }];
+  const applied = await request(owner, { type: 'resources/patch', uri, patch: jsonPatch }, patched);
+  assert('JSON Patch bumps the version', applied.type === 'resources/updated' && applied.version === 2);
+  const notice = await notified;
+  assert('Patch subscribers receive the patch', JSON.stringify(notice.patch) === JSON.stringify(jsonPatch)
+    && notice.format === 'json-patch' && notice.baseVersion === 1);
+  assert('Merge patch is picked for an object', (await request(owner, { type: 'resources/patch', uri, patch: { pot: 5 } }, patched)).version === 3);
+  const missing = await request(owner, { type: 'resources/patch', uri }, patched);
+  assert('Patch without a patch field is rejected', missing.type === 'error' && /patch is required/.test(missing.message));
+  const notArray = await request(owner, { type: 'resources/patch', uri, format: 'json-patch', patch: { pot: 0 } }, patched);
+  assert('json-patch that is not an array is rejected', notArray.type === 'error' && /must be an array/.test(notArray.message));
+  const failedTest = await request(owner, { type: 'resources/patch', uri, patch: [{ op: 'test', path: '/pot', value: 1 }] }, patched);
+  assert('Failing test operation is rejected', failedTest.type === 'error' && /Test failed/.test(failedTest.message));
+  const read = await request(owner, { type: 'resources/read', uri }, ['resources/content']);
+  assert('Rejected patches leave the content untouched', read.version === 3
+    && JSON.stringify(read.content) === JSON.stringify({ pot: 5, seats: ['a', 'b'] }));
+
+  await request(owner, { type: 'resources/update', uri: 'other://1', content: 1 }, patched);
+  const listed = await fetch(`http://localhost:${HTTP_PORT}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'resources/list', params: { pattern: 'table://*' } }),
+  }).then(r => r.text());
+  const listedUris = JSON.parse(listed.match(/^data: (.*)$/m)[1]).result.resources.map(r => r.uri);
+  assert('MCP resources/list filters by pattern', JSON.stringify(listedUris) === JSON.stringify([uri]));
+
+  owner.close();
+  watcher.close();
+  await stopBroker();
+
+  // 6. Schema dialects
+  console.log('\n── Test: Schema dialects ──');
+  await startBroker();
+  const dialects = await connectProvider('dialects', [
+    { name: 'modern', inputSchema: { $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'object', required: ['a'], properties: { a: { type: 'number' } } } },
+    { name: 'legacy', inputSchema: { $schema: 'http://json-schema.org/draft-04/schema#', type: 'object', required: ['a'] } },
+  ]);
+  assert('draft 2020-12 schemas are validated', /Invalid arguments/.test((await callTool('dialects__modern')).text));
+  assert('Valid arguments pass a 2020-12 schema', (await callTool('dialects__modern', { a: 1 })).text === 'dialects:modern');
+  assert('Tools with an uncompilable schema stay routable', (await callTool('dialects__legacy')).text === 'dialects:legacy');
+  dialects.close();
+  await stopBroker();
+
+  // 7. Queued calls
+  console.log('\n── Test: Queued calls ──');
+  await startBroker({ RECONNECT_GRACE_MS: '0' });
+  const queueTool = { name: 'tick', queueable: true, inputSchema: { type: 'object', properties: {} } };
+  (await connectProvider('clock', [queueTool])).close();
+  await sleep(200);
+  for (let n = 1; n <= 3; n++) await callTool('clock__tick', { n });
+  const clock = await connectProvider('clock', [queueTool], { delayMs: 200 });
+  // Re-register mid-delivery, as addTool after connect does
+  clock.send(JSON.stringify({ type: 'register', clientId: 'clock', tools: [queueTool] }));
+  await sleep(1000);
+  assert('Queued calls are delivered oldest first', JSON.stringify(clock.received.map(a => a.n)) === '[1,2,3]');
+  assert('A re-register does not start a second delivery loop', clock.maxActive === 1);
+  clock.close();
+  await stopBroker();
+
+  // Summary
+  console.log(`\n── Results: ${passed} passed, ${failed} failed ──\n`);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(async (err) => {
+  console.error('Test failed:', err);
+  await stopBroker().catch(() => {});
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+});
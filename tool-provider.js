@@ -30,6 +30,10 @@ export class ToolProvider {
    * @param {object} [options]
    * @param {string} [options.url] — WebSocket URL (default: ws://localhost:3099)
    * @param {boolean} [options.autoReconnect] — reconnect on disconnect (default: true)
+   * @param {string} [options.token] — broker-client credential (when the broker requires auth)
+   * @param {boolean} [options.validateArguments] — broker-side inputSchema checks (default: true)
+   * @param {boolean} [options.pool] — share the clientId with other instances (load-balanced)
+   * @param {string} [options.balance] — pool strategy: 'round-robin' | 'least-in-flight'
    */
   constructor(clientId, options = {}) {
     this.clientId = clientId;
@@ -43,16 +47,20 @@ export class ToolProvider {
         description: tool.description,
         inputSchema: tool.inputSchema || { type: 'object', properties: {} },
         handler: tool.handler.bind(this),
+        timeoutMs: tool.timeoutMs,
+        idempotent: tool.idempotent,
+        queueable: tool.queueable,
       });
     }
   }
 
   /**
    * Override in subclass. Return an array of tool definitions:
-   *   [{ name, description, inputSchema?, handler }]
+   *   [{ name, description, inputSchema?, handler, timeoutMs?, idempotent?, queueable? }]
    *
    * Handlers are bound to `this` (the ToolProvider instance), so they
-   * can access instance state freely.
+   * can access instance state freely. Like BrokerClient handlers, they
+   * receive (args, { progress, signal, callerId }).
    */
   defineTools() {
     return [];